@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// Offline feature extraction for the training pipeline. Re-derives the
+// aggregated features from raw recordings with the app's own feature code and
+// writes one training CSV row per recording, in MODEL_TRAINING.md order.
+//
+//   npm run extract-features -- [options] <file>...
+//
+// Inputs are samples CSVs (Download Samples CSV) or session bundles (.json).
+// Samples CSVs carry no participant info, so age and gender come from the
+// exported file name (neurogaze-samples_age-5.5_gender-M_...) unless a labels
+// file provides them. Short gaps in the gaze signal are filled the way the
+// app fills them before features are computed (see src/missingData.js).
+
+import { readFile, writeFile } from 'node:fs/promises'
+import { basename } from 'node:path'
+import { parseArgs } from 'node:util'
+import { buildCsv, parseCsv, parseExportFilename, parseSamplesCsv } from '../src/csvExport.js'
+import { DEFAULT_EVENT_DETECTION } from '../src/eventDetection.js'
+import { analyzeSession, buildTrainingRow, computeAggregatedFeatures } from '../src/featurePipeline.js'
+import { REDUNDANT_FEATURE_NAMES, TRAINING_CSV_HEADERS } from '../src/featureSchema.js'
+import { DEFAULT_GAP_FILL, fillGazeGaps } from '../src/missingData.js'
+import { parseSessionBundle } from '../src/sessionBundle.js'
+
+const USAGE = `Usage: npm run extract-features -- [options] <file>...
+
+Inputs are samples CSVs or session bundles (.json).
+
+Options:
+  -o, --output <file>   Write the training CSV here instead of stdout
+  --drop-redundant      Leave out the columns listed in REDUNDANT_FEATURES.md
+  --labels <file>       CSV with a "file" column (input file name) and any of
+                        Class, Participant, CARS_Score_is_ASD, Age, Gender
+  --max-gap-ms <ms>     Longest gaze gap to interpolate (default: the bundle's
+                        setting, or ${DEFAULT_GAP_FILL.maxGapMs} for samples CSVs)
+  -h, --help            Show this help`
+
+// Dataset columns a labels file sets directly; its Age and Gender go into
+// the feature computation instead
+const LABEL_COLUMNS = ['Class', 'Participant', 'CARS_Score_is_ASD']
+
+const readLabels = async (path) => {
+  const [headers, ...rows] = parseCsv(await readFile(path, 'utf8'))
+  if (!headers?.includes('file')) {
+    throw new Error(`${path}: labels file needs a "file" column`)
+  }
+  const labels = new Map()
+  rows.forEach((cells) => {
+    const entry = Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? '']))
+    labels.set(basename(entry.file), entry)
+  })
+  return labels
+}
+
+const labelValue = (value) => (value !== '' && Number.isFinite(Number(value)) ? Number(value) : value)
+
+const labelOverrides = (label) =>
+  Object.fromEntries(
+    LABEL_COLUMNS.filter((column) => label?.[column]).map((column) => [column, labelValue(label[column])])
+  )
+
+const extractFeatures = (path, text, label, gapFill) => {
+  if (path.toLowerCase().endsWith('.json')) {
+    const session = parseSessionBundle(JSON.parse(text))
+    const participant = {
+      age: label?.Age || session.participant.age,
+      gender: label?.Gender || session.participant.gender,
+    }
+    return analyzeSession({ ...session, participant, gapFill: gapFill ?? session.gapFill }).features
+  }
+
+  const samples = parseSamplesCsv(text)
+  const fromName = parseExportFilename(basename(path))
+  const age = label?.Age || fromName?.age
+  const gender = label?.Gender || fromName?.gender
+  if (!age || !gender) {
+    throw new Error('no age and gender: name the file as exported or list it in a labels file')
+  }
+  // Without the live blink log, blinks come from the samples' blink flag
+  return computeAggregatedFeatures(
+    fillGazeGaps(samples, gapFill ?? DEFAULT_GAP_FILL),
+    age,
+    gender,
+    DEFAULT_EVENT_DETECTION,
+    null
+  )
+}
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      'drop-redundant': { type: 'boolean', default: false },
+      labels: { type: 'string' },
+      'max-gap-ms': { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  })
+  if (values.help || !positionals.length) {
+    console.log(USAGE)
+    process.exitCode = values.help ? 0 : 1
+    return
+  }
+
+  let gapFill = null
+  if (values['max-gap-ms'] !== undefined) {
+    const maxGapMs = Number(values['max-gap-ms'])
+    if (!Number.isFinite(maxGapMs) || maxGapMs < 0) {
+      throw new Error(`--max-gap-ms must be a number of ms, got ${values['max-gap-ms']}`)
+    }
+    gapFill = { maxGapMs }
+  }
+
+  const labels = values.labels ? await readLabels(values.labels) : new Map()
+  const rows = []
+  let failures = 0
+  for (const path of positionals) {
+    const name = basename(path)
+    const label = labels.get(name)
+    try {
+      const features = extractFeatures(path, await readFile(path, 'utf8'), label, gapFill)
+      if (!features) {
+        throw new Error('no samples to compute features from')
+      }
+      rows.push(buildTrainingRow(features, { Source_File: name, ...labelOverrides(label) }))
+    } catch (err) {
+      failures += 1
+      console.error(`${path}: ${err.message}`)
+    }
+  }
+
+  const headers = values['drop-redundant']
+    ? TRAINING_CSV_HEADERS.filter((name) => !REDUNDANT_FEATURE_NAMES.includes(name))
+    : TRAINING_CSV_HEADERS
+  const csv = `${buildCsv(headers, rows)}\n`
+  if (values.output) {
+    await writeFile(values.output, csv)
+    console.error(`Wrote ${rows.length} rows to ${values.output}`)
+  } else {
+    process.stdout.write(csv)
+  }
+  if (failures) {
+    process.exitCode = 1
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  process.exitCode = 1
+})
@@ -1,28 +1,111 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import './App.css'
-import {
-  FaceMesh,
-  FACEMESH_LEFT_EYE,
-  FACEMESH_RIGHT_EYE,
-} from '@mediapipe/face_mesh'
-import { Camera } from '@mediapipe/camera_utils'
+import { FACEMESH_LEFT_EYE, FACEMESH_RIGHT_EYE } from '@mediapipe/face_mesh'
 import { drawConnectors } from '@mediapipe/drawing_utils'
-import abstractImage from './assets/images/abstract.jpg'
-import cartoonNatureImage from './assets/images/cartoonnature.jpg'
-import portraitImage from './assets/images/portrait.jpg'
-
-const leftIrisIndices = [468, 469, 470, 471]
-const rightIrisIndices = [473, 474, 475, 476]
-
-const leftEyeTopIndices = [159, 160]
-const leftEyeBottomIndices = [145, 144]
-const leftEyeInnerCorner = 133
-const leftEyeOuterCorner = 33
-
-const rightEyeTopIndices = [386, 387]
-const rightEyeBottomIndices = [374, 380]
-const rightEyeInnerCorner = 362
-const rightEyeOuterCorner = 263
+import { buildAoiFeatureColumns } from './aoi'
+import {
+  BLINK_BASELINE_DURATION_MS,
+  DEFAULT_BLINK_BASELINE,
+  summarizeBlinks,
+} from './blinkDetection'
+import {
+  CALIBRATION_GRIDS,
+  DEFAULT_CALIBRATION_GRID,
+  FRAMES_PER_CAL_POINT,
+} from './calibration'
+import { AoiReport } from './components/AoiReport'
+import { GazeFilterSettings } from './components/GazeFilterSettings'
+import { GazeResults } from './components/GazeResults'
+import { ProtocolPicker } from './components/ProtocolPicker'
+import { SessionHistory } from './components/SessionHistory'
+import { SessionReplay } from './components/SessionReplay'
+import { StimulusComparison } from './components/StimulusComparison'
+import { ValidationOverlay, ValidationReport } from './components/ValidationReport'
+import { getMediaSize } from './coordinates'
+import {
+  buildAggregatedCsv,
+  buildBlinksCsv,
+  buildCsvFilename,
+  buildSamplesCsv,
+  buildStimulusFeaturesCsv,
+  createCsvDownload,
+  parseSamplesCsv,
+  revokeCsvDownload,
+  triggerCsvDownload,
+} from './csvExport'
+import {
+  connectPostMessageBridge,
+  createEventStream,
+  parseAllowedOrigins,
+} from './embedEvents'
+import { DEFAULT_EVENT_DETECTION, EVENT_DETECTION_ALGORITHMS } from './eventDetection'
+import { analyzeSession, detectSessionFixations } from './featurePipeline'
+import {
+  buildModelPayload,
+  checkFeatureSchema,
+  FEATURE_SCHEMA_VERSION,
+  formatSchemaReport,
+} from './featureSchema'
+import { DEFAULT_GAZE_FILTER, GAZE_FILTERS } from './gazeFilters'
+import { GazeTracker } from './gazeTracker'
+import {
+  buildInterpretationContext,
+  buildTemplateSummary,
+  DEFAULT_INTERPRETATION_PROVIDER,
+  INTERPRETATION_PROVIDERS,
+  requestInterpretation,
+} from './interpretation'
+import { buildDataLossColumns, DEFAULT_GAP_FILL } from './missingData'
+import {
+  DEFAULT_PREDICTION_BACKEND,
+  loadScalerParams,
+  PREDICTION_BACKENDS,
+  REMOTE_PREDICTION_URL,
+  requestPrediction,
+} from './prediction'
+import {
+  buildStimulusSchedule,
+  DEFAULT_PROTOCOL_FILE,
+  loadProtocol,
+  loadProtocolIndex,
+  readProtocolFile,
+  protocolDurationMs,
+  scheduleDurationMs,
+  scheduleIndexAt,
+} from './protocol'
+import { createSessionBundleDownload, readSessionBundleFile } from './sessionBundle'
+import {
+  createSessionId,
+  deleteSession,
+  getSession,
+  isSessionStoreAvailable,
+  listSessions,
+  saveSession,
+  updateSession,
+} from './sessionStore'
+import {
+  DEFAULT_VALIDATION_THRESHOLDS,
+  isValidationPassed,
+  summarizeValidation,
+  VALIDATION_FRAMES_PER_POINT,
+  VALIDATION_POINTS,
+  VALIDATION_SETTLE_FRAMES,
+} from './validation'
+
+// Versioned events for embedding pages (see embedEvents.js)
+const eventStream = createEventStream()
+
+// The tracker samples every video frame; the live metrics, sample count and
+// countdown are redrawn at this interval instead of once per frame
+const UI_REFRESH_MS = 200
+
+// Ages in years the model was trained on; the capture refuses any other
+const AGE_RANGE = { min: 2.7, max: 12.9 }
+
+const isAgeInRange = (age) => {
+  const years = parseFloat(age)
+  return !isNaN(years) && years >= AGE_RANGE.min && years <= AGE_RANGE.max
+}
 
 const statusCopy = {
   idle: 'Waiting for camera',
@@ -32,474 +115,55 @@ const statusCopy = {
   unsupported: 'Camera not supported',
 }
 
-const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
-
-const classifyMovement = (velocity, openness, blinkThreshold, fixationThreshold) => {
-  if (openness < blinkThreshold) {
-    return 'Blink'
-  }
-  if (velocity < fixationThreshold) {
-    return 'Fixation'
-  }
-  return 'Saccade'
-}
-
-const AVERAGE_EYE_WIDTH_MM = 30
-const BLINK_THRESHOLD = 0.18
-const FIXATION_VELOCITY_THRESHOLD = 0.015
-
-const calibrationPoints = [
-  { x: 0.5, y: 0.5, label: 'center' },
-  { x: 0.2, y: 0.2, label: 'top-left' },
-  { x: 0.8, y: 0.2, label: 'top-right' },
-  { x: 0.2, y: 0.8, label: 'bottom-left' },
-  { x: 0.8, y: 0.8, label: 'bottom-right' },
-]
-
-const FRAMES_PER_CAL_POINT = 45
-
-const defaultCalibrationModel = () => ({
-  scaleX: 1,
-  offsetX: 0,
-  scaleY: 1,
-  offsetY: 0,
-})
-
-const mean = (values) =>
-  values.reduce((acc, value) => acc + value, 0) / (values.length || 1)
-
-const computeAxisMapping = (measuredValues, targetValues) => {
-  const meanMeasured = mean(measuredValues)
-  const meanTarget = mean(targetValues)
-  const variance =
-    measuredValues.reduce(
-      (acc, value) => acc + (value - meanMeasured) * (value - meanMeasured),
-      0
-    ) || 0
-
-  if (variance < 1e-6) {
-    return { scale: 1, offset: meanTarget - meanMeasured }
-  }
-
-  const covariance = measuredValues.reduce(
-    (acc, value, index) =>
-      acc + (value - meanMeasured) * (targetValues[index] - meanTarget),
-    0
-  )
-
-  const scale = covariance / variance
-  const offset = meanTarget - scale * meanMeasured
-  return { scale, offset }
-}
-
-const computeLinearMapping = (pairs) => {
-  if (!pairs.length) {
-    return defaultCalibrationModel()
-  }
-  const measuredX = pairs.map((pair) => pair.measured.x)
-  const targetX = pairs.map((pair) => pair.target.x)
-  const measuredY = pairs.map((pair) => pair.measured.y)
-  const targetY = pairs.map((pair) => pair.target.y)
-
-  const mapX = computeAxisMapping(measuredX, targetX)
-  const mapY = computeAxisMapping(measuredY, targetY)
-
-  return {
-    scaleX: mapX.scale,
-    offsetX: mapX.offset,
-    scaleY: mapY.scale,
-    offsetY: mapY.offset,
-  }
-}
-
-const ASSESSMENT_DURATION_MS = 30_000
-const IMAGE_DISPLAY_DURATION_MS = 10_000 // 10 seconds per image
-const ASSESSMENT_IMAGES = [
-  { src: abstractImage, name: 'Abstract Art' },
-  { src: cartoonNatureImage, name: 'Cartoon Nature' },
-  { src: portraitImage, name: 'Portrait' },
-]
-
-// Aggregated feature headers matching training data format (60 features)
-// Removed: Pupil_Diam_1-12 (MediaPipe cannot directly measure pupil diameter)
-// Removed: 6 redundant average features: avg_eye_c_1-3, pupil_diam_avg_1, gaze_hori_avg_1, gaze_vert_avg_1
-const AGGREGATED_CSV_HEADERS = [
-  'Tracking_F_1', 'Tracking_F_2', 'Tracking_F_3', 'Tracking_F_4',
-  // REMOVED: Pupil_Diam_1-12 (MediaPipe cannot directly measure pupil diameter)
-  'GazePoint_of_I_1', 'GazePoint_of_I_2', 'GazePoint_of_I_3', 'GazePoint_of_I_4', 'GazePoint_of_I_5', 'GazePoint_of_I_6',
-  'GazePoint_of_I_7', 'GazePoint_of_I_8', 'GazePoint_of_I_9', 'GazePoint_of_I_10', 'GazePoint_of_I_11', 'GazePoint_of_I_12',
-  'Recording_1', 'Recording_2', 'Recording_3',
-  'gaze_hori_1', 'gaze_hori_2', 'gaze_hori_3', 'gaze_hori_4',
-  'gaze_vert_1', 'gaze_vert_2', 'gaze_vert_3', 'gaze_vert_4',
-  'gaze_velo_1', 'gaze_velo_2', 'gaze_velo_3', 'gaze_velo_4',
-  'blink_count_1', 'blink_count_2', 'blink_count_3', 'blink_count_4',
-  'fix_count_1', 'fix_count_2', 'fix_count_3', 'fix_count_4',
-  'sac_count_1', 'sac_count_2', 'sac_count_3', 'sac_count_4',
-  'Source_File', 'level_2',
-  'trial_dur_1', 'trial_dur_2',
-  'sampling_rate_1',
-  'blink_rate_1', 'fixation_rate_1', 'saccade_rate_1',
-  'fix_dur_avg_1', 'sac_amp_avg_1', 'sac_peak_vel_avg_1',
-  'right_eye_c_1', 'right_eye_c_2', 'right_eye_c_3',
-    'left_eye_c_1', 'left_eye_c_2', 'left_eye_c_3',
-    // REMOVED: 'avg_eye_c_1', 'avg_eye_c_2', 'avg_eye_c_3',  // Redundant averages
-    // REMOVED: 'pupil_diam_avg_1',  // Redundant average
-    // REMOVED: 'gaze_hori_avg_1', 'gaze_vert_avg_1',  // Redundant averages
-    'Participant', 'Gender', 'Age', 'Gender_encoded', 'Class', 'CARS_Score_is_ASD',
-]
-
-// Helper function to compute statistics
-const computeStats = (values) => {
-  if (!values || values.length === 0) {
-    return { mean: 0, std: 0, min: 0, max: 0, q1: 0, q3: 0, median: 0 }
-  }
-  const validValues = values.filter(v => v != null && !Number.isNaN(v) && Number.isFinite(v))
-  if (validValues.length === 0) {
-    return { mean: 0, std: 0, min: 0, max: 0, q1: 0, q3: 0, median: 0 }
-  }
-  const sorted = [...validValues].sort((a, b) => a - b)
-  const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length
-  const variance = sorted.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / sorted.length
-  const std = Math.sqrt(variance)
-  const min = sorted[0]
-  const max = sorted[sorted.length - 1]
-  const q1 = sorted[Math.floor(sorted.length * 0.25)]
-  const q3 = sorted[Math.floor(sorted.length * 0.75)]
-  const median = sorted[Math.floor(sorted.length * 0.5)]
-  return { mean, std, min, max, q1, q3, median }
-}
-
-// Feature engineering function to match training data format
-const computeAggregatedFeatures = (samples, age, gender) => {
-  if (!samples || samples.length === 0) {
-    return null
-  }
-
-  // Extract arrays for each metric
-  const trackingRatios = samples.map(s => s.trackingRatio).filter(v => v != null)
-  // REMOVED: Pupil diameter extraction (MediaPipe cannot directly measure pupil diameter)
-  const porRightX = samples.map(s => s.pointOfRegardRightX).filter(v => v != null)
-  const porRightY = samples.map(s => s.pointOfRegardRightY).filter(v => v != null)
-  const porLeftX = samples.map(s => s.pointOfRegardLeftX).filter(v => v != null)
-  const porLeftY = samples.map(s => s.pointOfRegardLeftY).filter(v => v != null)
-  const recordingTimes = samples.map(s => s.recordingTimeMs).filter(v => v != null)
-
-  // Compute gaze velocities and movements
-  const gazeVelocitiesRight = []
-  const gazeVelocitiesLeft = []
-  const gazeHorizontalRight = []
-  const gazeVerticalRight = []
-  const gazeHorizontalLeft = []
-  const gazeVerticalLeft = []
-  const fixDurations = []
-  const saccadeAmplitudes = []
-  const saccadePeakVelocities = []
-
-  for (let i = 1; i < samples.length; i++) {
-    const prev = samples[i - 1]
-    const curr = samples[i]
-    const dt = (curr.recordingTimeMs - prev.recordingTimeMs) / 1000
-
-    if (dt > 0) {
-      // Right eye velocity
-      const dxRight = curr.pointOfRegardRightX - prev.pointOfRegardRightX
-      const dyRight = curr.pointOfRegardRightY - prev.pointOfRegardRightY
-      const velocityRight = Math.hypot(dxRight, dyRight) / dt
-      gazeVelocitiesRight.push(velocityRight)
-      gazeHorizontalRight.push(dxRight / dt)
-      gazeVerticalRight.push(dyRight / dt)
-
-      // Left eye velocity
-      const dxLeft = curr.pointOfRegardLeftX - prev.pointOfRegardLeftX
-      const dyLeft = curr.pointOfRegardLeftY - prev.pointOfRegardLeftY
-      const velocityLeft = Math.hypot(dxLeft, dyLeft) / dt
-      gazeVelocitiesLeft.push(velocityLeft)
-      gazeHorizontalLeft.push(dxLeft / dt)
-      gazeVerticalLeft.push(dyLeft / dt)
-
-      // Saccade amplitude (distance moved)
-      if (curr.categoryRight === 'Saccade' || curr.categoryLeft === 'Saccade') {
-        const amplitude = Math.hypot(dxRight + dxLeft, dyRight + dyLeft) / 2
-        saccadeAmplitudes.push(amplitude)
-        saccadePeakVelocities.push(Math.max(velocityRight, velocityLeft))
-      }
-
-      // Fixation duration (time spent in fixation)
-      if (curr.categoryRight === 'Fixation' && prev.categoryRight === 'Fixation') {
-        fixDurations.push(dt)
-      }
-    }
-  }
-
-  // Count eye movement categories (split into 4 time segments)
-  const segmentSize = Math.ceil(samples.length / 4)
-  const blinkCounts = [0, 0, 0, 0]
-  const fixCounts = [0, 0, 0, 0]
-  const sacCounts = [0, 0, 0, 0]
-
-  samples.forEach((sample, idx) => {
-    const segment = Math.min(3, Math.floor(idx / segmentSize))
-    if (sample.categoryRight === 'Blink' || sample.categoryLeft === 'Blink') blinkCounts[segment]++
-    if (sample.categoryRight === 'Fixation' || sample.categoryLeft === 'Fixation') fixCounts[segment]++
-    if (sample.categoryRight === 'Saccade' || sample.categoryLeft === 'Saccade') sacCounts[segment]++
-  })
-
-  // Compute statistics
-  const trackingStats = computeStats(trackingRatios)
-  // REMOVED: Pupil diameter stats (MediaPipe cannot directly measure pupil diameter)
-  const porRightXStats = computeStats(porRightX)
-  const porRightYStats = computeStats(porRightY)
-  const porLeftXStats = computeStats(porLeftX)
-  const porLeftYStats = computeStats(porLeftY)
-  const recordingTimeStats = {
-    count: recordingTimes.length,
-    min: recordingTimes.length > 0 ? Math.min(...recordingTimes) : 0,
-    max: recordingTimes.length > 0 ? Math.max(...recordingTimes) : 0,
-  }
-
-  const gazeHorizontalRightStats = computeStats(gazeHorizontalRight)
-  const gazeVerticalRightStats = computeStats(gazeVerticalRight)
-  const gazeVelocityRightStats = computeStats(gazeVelocitiesRight)
-  const gazeHorizontalLeftStats = computeStats(gazeHorizontalLeft)
-  const gazeVerticalLeftStats = computeStats(gazeVerticalLeft)
-  const gazeVelocityLeftStats = computeStats(gazeVelocitiesLeft)
-
-  // Combined gaze stats
-  const gazeHorizontalMean = (gazeHorizontalRightStats.mean + gazeHorizontalLeftStats.mean) / 2
-  const gazeHorizontalStd = Math.sqrt((Math.pow(gazeHorizontalRightStats.std, 2) + Math.pow(gazeHorizontalLeftStats.std, 2)) / 2)
-  const gazeVerticalMean = (gazeVerticalRightStats.mean + gazeVerticalLeftStats.mean) / 2
-  const gazeVerticalStd = Math.sqrt((Math.pow(gazeVerticalRightStats.std, 2) + Math.pow(gazeVerticalLeftStats.std, 2)) / 2)
-
-  // Trial duration
-  const trialDurationMs = recordingTimeStats.max - recordingTimeStats.min
-  const trialDurationSec = trialDurationMs > 0 ? trialDurationMs / 1000 : 1
-  const samplingRate = trialDurationSec > 0 ? samples.length / trialDurationSec : 0
-
-  // Rates per second
-  const blinkRate = trialDurationSec > 0 ? blinkCounts.reduce((a, b) => a + b, 0) / trialDurationSec : 0
-  const fixationRate = trialDurationSec > 0 ? fixCounts.reduce((a, b) => a + b, 0) / trialDurationSec : 0
-  const saccadeRate = trialDurationSec > 0 ? sacCounts.reduce((a, b) => a + b, 0) / trialDurationSec : 0
-
-  // Average fixation duration, saccade amplitude, saccade peak velocity
-  const fixDurAvg = fixDurations.length > 0 ? fixDurations.reduce((a, b) => a + b, 0) / fixDurations.length : 0
-  const sacAmpAvg = saccadeAmplitudes.length > 0 ? saccadeAmplitudes.reduce((a, b) => a + b, 0) / saccadeAmplitudes.length : 0
-  const sacPeakVelAvg = saccadePeakVelocities.length > 0 ? saccadePeakVelocities.reduce((a, b) => a + b, 0) / saccadePeakVelocities.length : 0
-
-  // Eye coordinates (mean, std, range)
-  const rightEyeC = {
-    mean: porRightXStats.mean,
-    std: porRightXStats.std,
-    range: porRightXStats.max - porRightXStats.min,
-  }
-  const leftEyeC = {
-    mean: porLeftXStats.mean,
-    std: porLeftXStats.std,
-    range: porLeftXStats.max - porLeftXStats.min,
-  }
-  const avgEyeC = {
-    mean: (porRightXStats.mean + porLeftXStats.mean) / 2,
-    std: (porRightXStats.std + porLeftXStats.std) / 2,
-    range: ((porRightXStats.max - porRightXStats.min) + (porLeftXStats.max - porLeftXStats.min)) / 2,
-  }
-
-  // Gender encoding (M=1, F=0, based on typical encoding)
-  const genderEncoded = gender === 'M' ? 1 : (gender === 'F' ? 0 : 0.5)
-
-  // Build feature array in exact order matching AGGREGATED_CSV_HEADERS
-  return {
-    'Tracking_F_1': trackingStats.mean,
-    'Tracking_F_2': trackingStats.std,
-    'Tracking_F_3': trackingStats.min,
-    'Tracking_F_4': trackingStats.max,
-    // REMOVED: Pupil_Diam_1-12 (MediaPipe cannot directly measure pupil diameter)
-    'GazePoint_of_I_1': porRightXStats.mean,
-    'GazePoint_of_I_2': porRightXStats.std,
-    'GazePoint_of_I_3': porRightXStats.min,
-    'GazePoint_of_I_4': porRightXStats.max,
-    'GazePoint_of_I_5': porRightYStats.mean,
-    'GazePoint_of_I_6': porRightYStats.std,
-    'GazePoint_of_I_7': porRightYStats.min,
-    'GazePoint_of_I_8': porRightYStats.max,
-    'GazePoint_of_I_9': porLeftXStats.mean,
-    'GazePoint_of_I_10': porLeftXStats.std,
-    'GazePoint_of_I_11': porLeftXStats.min,
-    'GazePoint_of_I_12': porLeftXStats.max,
-    'Recording_1': recordingTimeStats.count,
-    'Recording_2': recordingTimeStats.min,
-    'Recording_3': recordingTimeStats.max,
-    'gaze_hori_1': gazeHorizontalRightStats.mean,
-    'gaze_hori_2': gazeHorizontalRightStats.std,
-    'gaze_hori_3': gazeHorizontalLeftStats.mean,
-    'gaze_hori_4': gazeHorizontalLeftStats.std,
-    'gaze_vert_1': gazeVerticalRightStats.mean,
-    'gaze_vert_2': gazeVerticalRightStats.std,
-    'gaze_vert_3': gazeVerticalLeftStats.mean,
-    'gaze_vert_4': gazeVerticalLeftStats.std,
-    'gaze_velo_1': gazeVelocityRightStats.mean,
-    'gaze_velo_2': gazeVelocityRightStats.max,
-    'gaze_velo_3': gazeVelocityLeftStats.mean,
-    'gaze_velo_4': gazeVelocityLeftStats.max,
-    'blink_count_1': blinkCounts[0],
-    'blink_count_2': blinkCounts[1],
-    'blink_count_3': blinkCounts[2],
-    'blink_count_4': blinkCounts[3],
-    'fix_count_1': fixCounts[0],
-    'fix_count_2': fixCounts[1],
-    'fix_count_3': fixCounts[2],
-    'fix_count_4': fixCounts[3],
-    'sac_count_1': sacCounts[0],
-    'sac_count_2': sacCounts[1],
-    'sac_count_3': sacCounts[2],
-    'sac_count_4': sacCounts[3],
-    'Source_File': 'web-app',
-    'level_2': 'GazePoint_of_I',
-    'trial_dur_1': trialDurationMs,
-    'trial_dur_2': trialDurationSec,
-    'sampling_rate_1': samplingRate,
-    'blink_rate_1': blinkRate,
-    'fixation_rate_1': fixationRate,
-    'saccade_rate_1': saccadeRate,
-    'fix_dur_avg_1': fixDurAvg,
-    'sac_amp_avg_1': sacAmpAvg,
-    'sac_peak_vel_avg_1': sacPeakVelAvg,
-    'right_eye_c_1': rightEyeC.mean,
-    'right_eye_c_2': rightEyeC.std,
-    'right_eye_c_3': rightEyeC.range,
-    'left_eye_c_1': leftEyeC.mean,
-    'left_eye_c_2': leftEyeC.std,
-    'left_eye_c_3': leftEyeC.range,
-    // REMOVED: avg_eye_c_1-3 (redundant - model can learn from individual eyes)
-    // REMOVED: pupil_diam_avg_1 (redundant - model can learn from individual pupil stats)
-    // REMOVED: gaze_hori_avg_1, gaze_vert_avg_1 (redundant - model can learn from per-eye stats)
-    'Participant': 0, // Placeholder - not used in model
-    'Gender': gender || 'Unknown',
-    'Age': parseFloat(age) || 0,
-    'Gender_encoded': genderEncoded,
-    'Class': 'Unknown', // Will be predicted by model
-    'CARS_Score_is_ASD': 0, // Placeholder - not used in model
-  }
-}
-
-const formatCsvCell = (value) => {
-  if (value === null || value === undefined || Number.isNaN(value)) {
-    return ''
-  }
-  if (typeof value === 'number') {
-    if (!Number.isFinite(value)) {
-      return ''
-    }
-    if (Number.isInteger(value)) {
-      return value.toString()
-    }
-    return Number(value.toFixed(3)).toString()
-  }
-  const str = String(value).replace(/"/g, '""')
-  return `"${str}"`
-}
-
-const triggerCsvDownload = (url, prefix = 'eye-tracking') => {
-  if (typeof window === 'undefined') {
-    return
-  }
-  const link = document.createElement('a')
-  link.href = url
-  link.download = `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`
-  document.body.appendChild(link)
-  link.click()
-  document.body.removeChild(link)
-}
-
-const revokeObjectUrl = (url) => {
-  if (url) {
-    URL.revokeObjectURL(url)
-  }
-}
-
-const applyCalibration = (model, point) => {
-  if (!point || !model) {
-    return point ?? null
-  }
-  // Check if model is valid (has been calibrated, not just default)
-  const isDefaultModel = model.scaleX === 1 && model.offsetX === 0 && model.scaleY === 1 && model.offsetY === 0
-  if (isDefaultModel) {
-    // Return uncalibrated point if using default model
-    return point
-  }
+// CSV downloads of a session record (see sessionStore.js)
+const buildSessionDownloads = (record) => {
+  const session = { ...record.participant, startedAt: record.startedAt }
   return {
-    x: clamp(model.scaleX * point.x + model.offsetX, 0, 1),
-    y: clamp(model.scaleY * point.y + model.offsetY, 0, 1),
+    samples: createCsvDownload(buildSamplesCsv(record.samples), buildCsvFilename('samples', session)),
+    features: createCsvDownload(
+      buildAggregatedCsv(record.features, {
+        ...buildAoiFeatureColumns(record.aoiMetrics),
+        ...buildDataLossColumns(record.dataLoss),
+      }),
+      buildCsvFilename('features', session)
+    ),
+    blinks: createCsvDownload(buildBlinksCsv(record.blinks), buildCsvFilename('blinks', session)),
+    stimulusFeatures: createCsvDownload(
+      buildStimulusFeaturesCsv(record.features, record.stimulusBlocks),
+      buildCsvFilename('stimulus-features', session)
+    ),
   }
 }
 
-const averagePoint = (samples, key) => {
-  const valid = samples
-    .map((sample) => sample[key])
-    .filter((samplePoint) => !!samplePoint)
-  if (!valid.length) {
-    return null
-  }
-  const accumulator = valid.reduce(
-    (acc, point) => ({
-      x: acc.x + point.x,
-      y: acc.y + point.y,
-    }),
-    { x: 0, y: 0 }
-  )
-  return {
-    x: accumulator.x / valid.length,
-    y: accumulator.y / valid.length,
-  }
-}
-
-const getAverageLandmark = (landmarks, indices) => {
-  const points = indices
-    .map((index) => landmarks[index])
-    .filter((point) => point)
-
-  if (!points.length) {
-    return null
-  }
-
-  const sum = points.reduce(
-    (acc, point) => ({
-      x: acc.x + point.x,
-      y: acc.y + point.y,
-      z: acc.z + (point.z ?? 0),
-    }),
-    { x: 0, y: 0, z: 0 }
-  )
-
-  return {
-    x: sum.x / points.length,
-    y: sum.y / points.length,
-    z: sum.z / points.length,
-  }
-}
-
-const getDistance = (a, b) => {
-  if (!a || !b) {
-    return 0
-  }
-  return Math.hypot(a.x - b.x, a.y - b.y)
-}
+// The results view of a completed recording, new or reopened from the history
+const buildAssessmentResults = (record) => ({
+  status: 'complete',
+  timeLeftMs: 0,
+  schedule: record.schedule,
+  samplesCaptured: record.samples.length,
+  downloads: buildSessionDownloads(record),
+  blinkSummary: summarizeBlinks(record.blinks),
+  aoiMetrics: record.aoiMetrics,
+  dataLoss: record.dataLoss ?? null,
+  sessionFeatures: record.features,
+  stimulusBlocks: record.stimulusBlocks,
+  // Kept for the session bundle download
+  record,
+  gazeResults: {
+    samples: record.samples,
+    // Sessions saved before the fixations were stored detect them again
+    fixations: record.fixations ?? detectSessionFixations(record),
+    session: { ...record.participant, startedAt: record.startedAt },
+  },
+})
 
 function App() {
   const videoRef = useRef(null)
   const canvasRef = useRef(null)
-  const metricsInternalRef = useRef({
-    blinkState: 'open',
-    blinkTimestamps: [],
-    lastUpdate: 0,
-    blinkCount: 0,
-    prevLeftCenter: null,
-    prevRightCenter: null,
-    prevTimestamp: null,
-    samplesTotal: 0,
-    samplesValid: 0,
-    startTime: Date.now(),
-    leftIrisRadiusPx: 0,
-    rightIrisRadiusPx: 0,
-  })
+  const viewerRef = useRef(null)
+  const stimulusRef = useRef(null)
+  // The GazeTracker while the camera is running
+  const trackerRef = useRef(null)
   const [status, setStatus] = useState('idle')
   const [error, setError] = useState('')
   const [metrics, setMetrics] = useState({
@@ -511,172 +175,268 @@ function App() {
     pointOfRegardLeftX: 0,
     pointOfRegardLeftY: 0,
     trackingRatio: 0,
+    headYawDeg: null,
+    headPitchDeg: null,
+    headRollDeg: null,
+    headXMm: null,
+    headYMm: null,
+    headDistanceMm: null,
   })
+  const [calibrationGridSize, setCalibrationGridSize] = useState(DEFAULT_CALIBRATION_GRID)
   const [calibration, setCalibration] = useState({
     status: 'idle',
     currentIndex: 0,
-    totalPoints: calibrationPoints.length,
-    targetLabel: calibrationPoints[0].label,
+    totalPoints: CALIBRATION_GRIDS[DEFAULT_CALIBRATION_GRID].length,
+    targetLabel: CALIBRATION_GRIDS[DEFAULT_CALIBRATION_GRID][0].label,
+    rejectedPoints: [],
   })
-  const calibrationRef = useRef({
+  const [validation, setValidation] = useState({
     status: 'idle',
-    pointIndex: 0,
-    samplesForPoint: [],
-    recorded: [],
-    models: {
-      left: defaultCalibrationModel(),
-      right: defaultCalibrationModel(),
-    },
+    currentIndex: 0,
+    results: [],
+  })
+  const [validationThresholds, setValidationThresholds] = useState(DEFAULT_VALIDATION_THRESHOLDS)
+  const validationThresholdsRef = useRef(DEFAULT_VALIDATION_THRESHOLDS)
+  const [blinkBaseline, setBlinkBaseline] = useState({
+    status: 'idle',
+    baseline: DEFAULT_BLINK_BASELINE,
   })
   const isSupported = useMemo(
     () => !!navigator?.mediaDevices?.getUserMedia,
     []
   )
+  // Timing of the running assessment; the tracker holds its samples and blinks
   const assessmentRef = useRef({
     status: 'idle',
-    samples: [],
+    schedule: [],
+    durationMs: 0,
     startTimestamp: 0,
-    downloadUrl: '',
+    startedAt: '',
   })
   const [assessment, setAssessment] = useState({
     status: 'idle',
-    timeLeftMs: ASSESSMENT_DURATION_MS,
+    timeLeftMs: 0,
+    schedule: [],
     samplesCaptured: 0,
-    downloadUrl: '',
+    downloads: null,
+    blinkSummary: null,
+    aoiMetrics: null,
+    dataLoss: null,
+    sessionFeatures: null,
+    stimulusBlocks: null,
+    record: null,
+    gazeResults: null,
   })
   const [prediction, setPrediction] = useState({
     loading: false,
     result: null,
     error: null,
   })
+  const [predictionBackend, setPredictionBackend] = useState(DEFAULT_PREDICTION_BACKEND)
+  const [eventDetection, setEventDetection] = useState(DEFAULT_EVENT_DETECTION)
+  const [gazeFilter, setGazeFilter] = useState(DEFAULT_GAZE_FILTER)
+  const [schemaCheck, setSchemaCheck] = useState({
+    status: 'pending',
+    report: null,
+    error: null,
+  })
+  const [interpretationProvider, setInterpretationProvider] = useState(DEFAULT_INTERPRETATION_PROVIDER)
   const [neuroSummary, setNeuroSummary] = useState({
     loading: false,
     content: null,
     error: null,
+    provider: null,
   })
   const [userInfo, setUserInfo] = useState({
     age: '',
     gender: '',
   })
-  const [currentImageIndex, setCurrentImageIndex] = useState(0)
+  const [currentStimulusIndex, setCurrentStimulusIndex] = useState(0)
+  const [protocolOptions, setProtocolOptions] = useState([])
+  const [protocolSelection, setProtocolSelection] = useState({
+    status: 'loading',
+    source: DEFAULT_PROTOCOL_FILE,
+    protocol: null,
+    error: null,
+  })
+  const [counterbalanceSlot, setCounterbalanceSlot] = useState(1)
+  // A samples CSV opened for replay; replaces the last recording in the replay
+  const [replayImport, setReplayImport] = useState({ status: 'idle', name: '', samples: null, error: null })
+  const [sessionHistory, setSessionHistory] = useState({
+    status: isSessionStoreAvailable() ? 'loading' : 'unavailable',
+    sessions: [],
+    error: null,
+  })
+  // Set every render; the postMessage bridge calls through it
+  const commandHandlerRef = useRef(null)
+  // Id of the saved session the results view shows, so a late prediction or
+  // summary is stored with it
+  const savedSessionIdRef = useRef(null)
 
-  const resetCalibration = useCallback(() => {
-    calibrationRef.current = {
-      status: 'idle',
-      pointIndex: 0,
-      samplesForPoint: [],
-      recorded: [],
-      models: {
-        left: defaultCalibrationModel(),
-        right: defaultCalibrationModel(),
-      },
+  useEffect(() => {
+    let isActive = true
+    loadProtocolIndex()
+      .then((options) => {
+        if (isActive) {
+          setProtocolOptions(options)
+        }
+      })
+      .catch(() => {
+        // Without an index only the default protocol and the file picker are offered
+      })
+    loadProtocol(DEFAULT_PROTOCOL_FILE)
+      .then((protocol) => {
+        if (isActive) {
+          setProtocolSelection({ status: 'ready', source: DEFAULT_PROTOCOL_FILE, protocol, error: null })
+        }
+      })
+      .catch((err) => {
+        if (isActive) {
+          setProtocolSelection({ status: 'error', source: DEFAULT_PROTOCOL_FILE, protocol: null, error: err.message })
+        }
+      })
+    return () => {
+      isActive = false
     }
-    setCalibration({
-      status: 'idle',
-      currentIndex: 0,
-      totalPoints: calibrationPoints.length,
-      targetLabel: calibrationPoints[0].label,
-    })
   }, [])
 
+  const applyProtocol = useCallback((source, loading) => {
+    setProtocolSelection({ status: 'loading', source, protocol: null, error: null })
+    loading
+      .then((protocol) => {
+        setProtocolSelection({ status: 'ready', source, protocol, error: null })
+      })
+      .catch((err) => {
+        setProtocolSelection({ status: 'error', source, protocol: null, error: err.message })
+      })
+  }, [])
+
+  const selectBundledProtocol = useCallback((file) => {
+    applyProtocol(file, loadProtocol(file))
+  }, [applyProtocol])
+
+  const openProtocolFile = useCallback((file) => {
+    applyProtocol(file.name, readProtocolFile(file))
+  }, [applyProtocol])
+
+  const openReplayFile = useCallback(async (file) => {
+    try {
+      const samples = parseSamplesCsv(await file.text())
+      setReplayImport({ status: 'ready', name: file.name, samples, error: null })
+    } catch (err) {
+      setReplayImport({ status: 'error', name: file.name, samples: null, error: err.message })
+    }
+  }, [])
+
+  useEffect(() => {
+    let isActive = true
+    loadScalerParams()
+      .then((scaler) => {
+        if (!isActive) {
+          return
+        }
+        const report = checkFeatureSchema(scaler.featureNames)
+        setSchemaCheck({ status: report.ok ? 'ok' : 'mismatch', report, error: null })
+      })
+      .catch((err) => {
+        if (isActive) {
+          setSchemaCheck({ status: 'unavailable', report: null, error: err.message })
+        }
+      })
+    return () => {
+      isActive = false
+    }
+  }, [])
+
+  // Tracker methods report their progress back through its events
+  const startValidation = useCallback(() => {
+    trackerRef.current?.validate()
+  }, [])
+
+  const startBlinkBaseline = useCallback(() => {
+    trackerRef.current?.measureBlinkBaseline()
+  }, [])
+
+  const resetCalibration = useCallback(() => {
+    trackerRef.current?.resetCalibration(CALIBRATION_GRIDS[calibrationGridSize])
+  }, [calibrationGridSize])
+
   const startCalibration = useCallback(() => {
-    if (!isSupported) {
+    if (!trackerRef.current) {
       setError('Camera access is needed for calibration.')
       return
     }
-    calibrationRef.current.status = 'running'
-    calibrationRef.current.pointIndex = 0
-    calibrationRef.current.samplesForPoint = []
-    calibrationRef.current.recorded = []
-    calibrationRef.current.models = {
-      left: defaultCalibrationModel(),
-      right: defaultCalibrationModel(),
-    }
-    setCalibration({
-      status: 'running',
-      currentIndex: 0,
-      totalPoints: calibrationPoints.length,
-      targetLabel: calibrationPoints[0].label,
-    })
-  }, [isSupported, setCalibration])
+    trackerRef.current.calibrate(CALIBRATION_GRIDS[calibrationGridSize])
+  }, [calibrationGridSize])
 
-  const generateNeuroSummary = useCallback(async (predictionResult, age, gender) => {
-    const apiKey = import.meta.env.VITE_OPENAI_API_KEY
-    if (!apiKey) {
+  // A failed LLM request falls back to the template summary, with a note
+  const generateNeuroSummary = useCallback(async (context) => {
+    const provider = interpretationProvider
+    setNeuroSummary({ loading: true, content: null, error: null, provider })
+    try {
+      const content = await requestInterpretation(provider, context)
+      setNeuroSummary({ loading: false, content, error: null, provider })
+    } catch (err) {
       setNeuroSummary({
         loading: false,
-        content: null,
-        error: 'OpenAI API key not found. Please set VITE_OPENAI_API_KEY in your .env file.',
+        content: buildTemplateSummary(context),
+        error: `${err.message || 'Failed to generate summary'}. Showing the template summary instead.`,
+        provider: 'template',
       })
-      return
     }
+  }, [interpretationProvider])
 
-    setNeuroSummary({ loading: true, content: null, error: null })
-
-    try {
-      const prompt = `You are a medical AI assistant providing a clear, empathetic interpretation of eye-tracking assessment results for autism spectrum disorder (ASD) screening.
-
-Assessment Results:
-- Prediction: ${predictionResult.prediction}
-- ASD Probability: ${(predictionResult.probability_asd * 100).toFixed(1)}%
-- TD (Typically Developing) Probability: ${(predictionResult.probability_td * 100).toFixed(1)}%
-- Confidence Level: ${predictionResult.confidence}
-- Participant Age: ${age} years
-- Participant Gender: ${gender}
-
-Please provide a brief, professional, and compassionate summary (2-3 paragraphs) that:
-1. Explains what these results mean in plain language
-2. Interprets the probability scores and confidence level
-3. Provides appropriate context about what this assessment does and does not indicate
-4. Emphasizes that this is a screening tool and not a diagnostic tool
-5. Suggests next steps if appropriate
-
-Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses.`
-
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a helpful medical AI assistant that provides clear, empathetic interpretations of medical screening results.',
-            },
-            {
-              role: 'user',
-              content: prompt,
-            },
-          ],
-          max_tokens: 500,
-          temperature: 0.7,
-        }),
+  const refreshSessionHistory = useCallback(() => {
+    if (!isSessionStoreAvailable()) {
+      return Promise.resolve()
+    }
+    return listSessions()
+      .then((sessions) => {
+        setSessionHistory({ status: 'ready', sessions, error: null })
       })
+      .catch((err) => {
+        setSessionHistory({ status: 'error', sessions: [], error: err.message })
+      })
+  }, [])
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ error: { message: `API error: ${response.statusText}` } }))
-        throw new Error(errorData.error?.message || `OpenAI API error: ${response.statusText}`)
-      }
-
-      const data = await response.json()
-      const summary = data.choices?.[0]?.message?.content
+  useEffect(() => {
+    refreshSessionHistory()
+  }, [refreshSessionHistory])
 
-      if (!summary) {
-        throw new Error('No summary generated from OpenAI')
-      }
+  const persistSession = useCallback((record) => {
+    if (!isSessionStoreAvailable()) {
+      return
+    }
+    saveSession(record)
+      .then(refreshSessionHistory)
+      .catch((err) => {
+        setError(`Could not save the session: ${err.message}`)
+      })
+  }, [refreshSessionHistory])
 
-      setNeuroSummary({ loading: false, content: summary, error: null })
-    } catch (err) {
-      setNeuroSummary({
-        loading: false,
-        content: null,
-        error: err.message || 'Failed to generate summary',
+  // The prediction and summary are stored with the session once they settle
+  useEffect(() => {
+    const id = savedSessionIdRef.current
+    if (!id || prediction.loading || (!prediction.result && !prediction.error)) {
+      return
+    }
+    updateSession(id, { prediction: { result: prediction.result, error: prediction.error } })
+      .then(refreshSessionHistory)
+      .catch(() => {
+        // The session keeps its earlier prediction; the result is still on screen
       })
+  }, [prediction, refreshSessionHistory])
+
+  useEffect(() => {
+    const id = savedSessionIdRef.current
+    if (!id || neuroSummary.loading || (!neuroSummary.content && !neuroSummary.error)) {
+      return
     }
-  }, [])
+    const { content, error: summaryError, provider } = neuroSummary
+    updateSession(id, { summary: { content, error: summaryError, provider } }).catch(() => {
+      // The summary stays on screen even if it could not be stored
+    })
+  }, [neuroSummary])
 
   const finalizeAssessment = useCallback(() => {
     if (assessmentRef.current.status !== 'running') {
@@ -684,122 +444,312 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
     }
 
     assessmentRef.current.status = 'complete'
-    const samples = assessmentRef.current.samples.slice()
+    const tracker = trackerRef.current
+    const { samples, blinks } = tracker.stopRecording()
+    const recording = {
+      id: createSessionId(),
+      startedAt: assessmentRef.current.startedAt,
+      participant: { age: userInfo.age, gender: userInfo.gender },
+      protocol: protocolSelection.protocol,
+      schedule: assessmentRef.current.schedule,
+      calibration: { models: tracker.calibrationModels },
+      eventDetection,
+      gazeFilter,
+      gapFill: DEFAULT_GAP_FILL,
+      blinkBaseline: tracker.blinkBaseline,
+      samples,
+      blinks,
+      predictionBackend,
+      prediction: { result: null, error: null },
+      summary: { content: null, error: null, provider: null },
+    }
 
     // Compute aggregated features matching training data format
-    const aggregatedFeatures = computeAggregatedFeatures(samples, userInfo.age, userInfo.gender)
-
-    if (!aggregatedFeatures) {
+    const analysis = analyzeSession(recording)
+    if (!analysis.features) {
       setError('Unable to compute features from samples.')
+      eventStream.emit('assessment-cancelled', { startedAt: recording.startedAt, reason: 'no-features' })
       return
     }
 
-    // Prepare features for API (58 features - exclude metadata, Class, sac_amp_avg_1, sac_peak_vel_avg_1)
-    const metadataColumns = ['Source_File', 'level_2', 'Participant', 'Gender', 'CARS_Score_is_ASD', 'Class']
-    const apiExcludedFeatures = ['sac_amp_avg_1', 'sac_peak_vel_avg_1']
-    const apiFeatures = {}
-    
-    AGGREGATED_CSV_HEADERS.forEach(header => {
-      if (!metadataColumns.includes(header) && !apiExcludedFeatures.includes(header)) {
-        apiFeatures[header] = aggregatedFeatures[header]
-      }
+    const apiFeatures = buildModelPayload(analysis.features)
+    const record = { ...recording, ...analysis }
+
+    setAssessment(buildAssessmentResults(record))
+    savedSessionIdRef.current = record.id
+    persistSession(record)
+    eventStream.emit('assessment-completed', {
+      sessionId: record.id,
+      startedAt: record.startedAt,
+      sampleCount: samples.length,
+      blinkCount: blinks.filter((blink) => !blink.partial).length,
+      features: record.features,
     })
+    const announcePrediction = (result, error) =>
+      eventStream.emit('prediction-ready', { sessionId: record.id, backend: predictionBackend, result, error })
+
+    // A model trained on a different feature layout would silently misread the inputs
+    if (schemaCheck.status === 'mismatch') {
+      const schemaError = formatSchemaReport(schemaCheck.report)
+      setPrediction({ loading: false, result: null, error: schemaError })
+      announcePrediction(null, schemaError)
+      return
+    }
 
-    // Send to prediction API
+    // Send to the selected prediction backend
     setPrediction({ loading: true, result: null, error: null })
-    setAssessment({
-      status: 'complete',
-      timeLeftMs: 0,
-      samplesCaptured: samples.length,
-      downloadUrl: '',
-    })
 
-    fetch('http://localhost:8000/predict', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(apiFeatures),
-    })
-      .then(async (response) => {
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({ detail: `API error: ${response.statusText}` }))
-          throw new Error(errorData.detail || `API error: ${response.statusText}`)
-        }
-        return response.json()
-      })
+    requestPrediction(predictionBackend, apiFeatures)
       .then((data) => {
         setPrediction({ loading: false, result: data, error: null })
-        // Generate AI summary when prediction is available
+        announcePrediction(data, null)
+        // Interpret the prediction once it is available
         if (data) {
-          generateNeuroSummary(data, userInfo.age, userInfo.gender)
+          generateNeuroSummary(
+            buildInterpretationContext({
+              prediction: data,
+              participant: record.participant,
+              dataLoss: record.dataLoss,
+              features: record.features,
+              validationSummary: summarizeValidation(validation.results),
+            })
+          )
         }
       })
       .catch((err) => {
         setPrediction({ loading: false, result: null, error: err.message })
         setError(`Prediction failed: ${err.message}`)
+        announcePrediction(null, err.message)
       })
-  }, [userInfo.age, userInfo.gender, generateNeuroSummary])
+  }, [
+    userInfo.age,
+    userInfo.gender,
+    protocolSelection.protocol,
+    eventDetection,
+    gazeFilter,
+    predictionBackend,
+    schemaCheck,
+    validation.results,
+    generateNeuroSummary,
+    persistSession,
+  ])
 
   const resetAssessment = useCallback(() => {
-    revokeObjectUrl(assessmentRef.current.downloadUrl)
     setAssessment({
       status: 'idle',
-      timeLeftMs: ASSESSMENT_DURATION_MS,
+      timeLeftMs: 0,
+      schedule: [],
       samplesCaptured: 0,
-      downloadUrl: '',
+      downloads: null,
+      blinkSummary: null,
+      aoiMetrics: null,
+      dataLoss: null,
+      sessionFeatures: null,
+      stimulusBlocks: null,
+      record: null,
+      gazeResults: null,
     })
+    // A recording cut short is discarded
+    if (assessmentRef.current.status === 'running') {
+      trackerRef.current?.stopRecording()
+      eventStream.emit('assessment-cancelled', { startedAt: assessmentRef.current.startedAt, reason: 'reset' })
+    }
     assessmentRef.current = {
       status: 'idle',
-      samples: [],
+      schedule: [],
+      durationMs: 0,
       startTimestamp: 0,
-      downloadUrl: '',
+      startedAt: '',
     }
-    setCurrentImageIndex(0)
-    setNeuroSummary({ loading: false, content: null, error: null })
+    savedSessionIdRef.current = null
+    setCurrentStimulusIndex(0)
+    setNeuroSummary({ loading: false, content: null, error: null, provider: null })
   }, [])
 
-  const startAssessment = useCallback(() => {
-    if (!isSupported) {
-      setError('Camera access is required to capture data.')
-      return
+  // Returns why the assessment could not start, or null once it has
+  const startAssessment = useCallback((participant = userInfo) => {
+    const refuse = (message) => {
+      setError(message)
+      return message
     }
-    if (!userInfo.age || !userInfo.gender) {
-      setError('Please enter age and gender before starting the assessment.')
-      return
+    if (!trackerRef.current) {
+      return refuse('Camera access is required to capture data.')
     }
-    const ageNum = parseFloat(userInfo.age)
-    if (isNaN(ageNum) || ageNum < 2 || ageNum > 18) {
-      setError('Age must be between 2 and 18.')
-      return
+    // The same conditions that enable the start button, for bridge commands
+    if (calibration.status !== 'complete') {
+      return refuse('Complete calibration before starting the capture run.')
     }
-    if (assessmentRef.current.status === 'running') {
-      return
+    if (
+      validation.status !== 'complete' ||
+      !isValidationPassed(summarizeValidation(validation.results), validationThresholds)
+    ) {
+      return refuse('Calibration must pass validation before starting the capture run.')
     }
-    revokeObjectUrl(assessment.downloadUrl)
-    revokeObjectUrl(assessmentRef.current.downloadUrl)
-
-    assessmentRef.current = {
-      status: 'running',
-      samples: [],
-      startTimestamp: performance.now(),
-      downloadUrl: '',
+    if (blinkBaseline.status !== 'complete') {
+      return refuse('Record a blink baseline before starting the capture run.')
+    }
+    if (!participant.age || !participant.gender) {
+      return refuse('Please enter age and gender before starting the assessment.')
     }
+    if (!isAgeInRange(participant.age)) {
+      return refuse(`Age must be between ${AGE_RANGE.min} and ${AGE_RANGE.max} years (model trained on pediatric data).`)
+    }
+    if (!protocolSelection.protocol) {
+      return refuse('Load a stimulus protocol before starting the assessment.')
+    }
+    if (assessmentRef.current.status === 'running') {
+      return 'An assessment is already running.'
+    }
+    // Randomized and counterbalanced orders are resolved once per recording
+    const schedule = buildStimulusSchedule(protocolSelection.protocol, { counterbalanceSlot })
+    const durationMs = scheduleDurationMs(schedule)
+    const { startTimestamp, startedAt } = trackerRef.current.startRecording({
+      schedule,
+      durationMs,
+      getStimulusSize: () => getMediaSize(stimulusRef.current),
+    })
+    assessmentRef.current = { status: 'running', schedule, durationMs, startTimestamp, startedAt, stimulusIndex: -1 }
+    savedSessionIdRef.current = null
 
     setAssessment({
       status: 'running',
-      timeLeftMs: ASSESSMENT_DURATION_MS,
+      timeLeftMs: durationMs,
+      schedule,
       samplesCaptured: 0,
-      downloadUrl: '',
+      downloads: null,
+      blinkSummary: null,
+      aoiMetrics: null,
+      dataLoss: null,
+      sessionFeatures: null,
+      stimulusBlocks: null,
+      record: null,
+      gazeResults: null,
     })
     setError('')
-  }, [assessment.downloadUrl, isSupported, userInfo.age, userInfo.gender, setAssessment, setError])
+    eventStream.emit('assessment-started', {
+      startedAt,
+      protocol: protocolSelection.protocol.name,
+      stimulusCount: schedule.filter((entry) => entry.type !== 'fixation').length,
+      durationMs,
+      participant: { age: participant.age, gender: participant.gender },
+    })
+    return null
+  }, [
+    userInfo,
+    calibration.status,
+    validation.status,
+    validation.results,
+    validationThresholds,
+    blinkBaseline.status,
+    protocolSelection.protocol,
+    counterbalanceSlot,
+    setAssessment,
+    setError,
+  ])
+
+  // Puts a saved or imported session in the results view
+  const showSession = useCallback((record) => {
+    savedSessionIdRef.current = record.id
+    setAssessment(buildAssessmentResults(record))
+    setPrediction({
+      loading: false,
+      result: record.prediction?.result ?? null,
+      error: record.prediction?.error ?? null,
+    })
+    setNeuroSummary({
+      loading: false,
+      content: record.summary?.content ?? null,
+      error: record.summary?.error ?? null,
+      provider: record.summary?.provider ?? null,
+    })
+    // The replay follows the session on show
+    setReplayImport({ status: 'idle', name: '', samples: null, error: null })
+    setError('')
+  }, [])
+
+  const reopenSession = useCallback(async (id) => {
+    if (assessmentRef.current.status === 'running') {
+      return
+    }
+    try {
+      const record = await getSession(id)
+      if (!record) {
+        throw new Error('it is no longer in the history')
+      }
+      showSession(record)
+    } catch (err) {
+      setError(`Could not open the session: ${err.message}`)
+    }
+  }, [showSession])
 
-  const handleCsvDownload = useCallback(() => {
-    if (assessment.downloadUrl) {
-      triggerCsvDownload(assessment.downloadUrl, 'eye-tracking')
+  // Features are recomputed from the bundle's raw samples with the current
+  // extraction code; the prediction and summary are kept as exported
+  const importSessionBundle = useCallback(async (file) => {
+    if (assessmentRef.current.status === 'running') {
+      return
     }
-  }, [assessment.downloadUrl])
+    try {
+      const imported = await readSessionBundleFile(file)
+      const analysis = analyzeSession(imported)
+      if (!analysis.features) {
+        throw new Error('Unable to compute features from its samples.')
+      }
+      const record = { ...imported, ...analysis }
+      showSession(record)
+      persistSession(record)
+    } catch (err) {
+      setError(`Could not import ${file.name}: ${err.message}`)
+    }
+  }, [showSession, persistSession])
+
+  const downloadSessionBundle = useCallback((record) => {
+    const download = createSessionBundleDownload(record, { appVersion: import.meta.env.APP_VERSION })
+    triggerCsvDownload(download)
+    setTimeout(() => revokeCsvDownload(download), 0)
+  }, [])
+
+  const exportSavedSessionBundle = useCallback(async (id) => {
+    try {
+      const record = await getSession(id)
+      if (!record) {
+        throw new Error('it is no longer in the history')
+      }
+      downloadSessionBundle(record)
+    } catch (err) {
+      setError(`Could not export the session: ${err.message}`)
+    }
+  }, [downloadSessionBundle])
+
+  const exportSavedSession = useCallback(async (id) => {
+    try {
+      const record = await getSession(id)
+      if (!record) {
+        throw new Error('it is no longer in the history')
+      }
+      const downloads = Object.values(buildSessionDownloads(record))
+      downloads.forEach(triggerCsvDownload)
+      // The clicks have to be handled before the URLs go away
+      setTimeout(() => downloads.forEach(revokeCsvDownload), 0)
+    } catch (err) {
+      setError(`Could not export the session: ${err.message}`)
+    }
+  }, [])
+
+  const removeSavedSession = useCallback(async (id) => {
+    try {
+      await deleteSession(id)
+      if (savedSessionIdRef.current === id) {
+        savedSessionIdRef.current = null
+      }
+      await refreshSessionHistory()
+    } catch (err) {
+      setError(`Could not delete the session: ${err.message}`)
+    }
+  }, [refreshSessionHistory])
+
+  const handleCsvDownload = useCallback((kind) => {
+    triggerCsvDownload(assessment.downloads?.[kind])
+  }, [assessment.downloads])
 
   useEffect(() => {
     if (assessment.status !== 'running') {
@@ -811,28 +761,33 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
       assessmentRef.current.startTimestamp = performance.now()
     }
 
-    // Reset to first image when assessment starts
-    setCurrentImageIndex(0)
+    // Reset to the first stimulus when assessment starts
+    setCurrentStimulusIndex(0)
 
     let rafId = 0
     const tick = () => {
       if (assessmentRef.current.status !== 'running') {
         return
       }
-      const elapsed = performance.now() - assessmentRef.current.startTimestamp
-      const remaining = Math.max(0, ASSESSMENT_DURATION_MS - elapsed)
-      
-      // Calculate which image should be shown (10 seconds per image)
-      const imageIndex = Math.min(
-        ASSESSMENT_IMAGES.length - 1,
-        Math.floor(elapsed / IMAGE_DISPLAY_DURATION_MS)
-      )
-      setCurrentImageIndex(imageIndex)
-      
-      setAssessment((prev) =>
-        prev.status === 'running' ? { ...prev, timeLeftMs: remaining } : prev
-      )
-      
+      const { schedule, durationMs, startTimestamp } = assessmentRef.current
+      const elapsed = performance.now() - startTimestamp
+      const remaining = Math.max(0, durationMs - elapsed)
+
+      // The protocol's timeline decides which stimulus or fixation cross is shown
+      const stimulusIndex = scheduleIndexAt(schedule, elapsed)
+      setCurrentStimulusIndex(stimulusIndex)
+      if (stimulusIndex !== assessmentRef.current.stimulusIndex) {
+        assessmentRef.current.stimulusIndex = stimulusIndex
+        const entry = schedule[stimulusIndex]
+        eventStream.emit('stimulus-change', {
+          index: stimulusIndex,
+          stimulusId: entry.id,
+          type: entry.type,
+          name: entry.name ?? null,
+          onsetMs: entry.onsetMs,
+        })
+      }
+
       if (remaining <= 0) {
         finalizeAssessment()
         return
@@ -849,11 +804,16 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
     }
   }, [assessment.status, finalizeAssessment])
 
+  // Blob URLs live exactly as long as the capture they belong to
   useEffect(() => {
+    const downloads = assessment.downloads
     return () => {
-      revokeObjectUrl(assessment.downloadUrl)
+      revokeCsvDownload(downloads?.samples)
+      revokeCsvDownload(downloads?.features)
+      revokeCsvDownload(downloads?.blinks)
+      revokeCsvDownload(downloads?.stimulusFeatures)
     }
-  }, [assessment.downloadUrl])
+  }, [assessment.downloads])
 
   useEffect(() => {
     if (!isSupported) {
@@ -862,9 +822,6 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
       return
     }
 
-    metricsInternalRef.current.startTime = Date.now()
-    let camera = null
-    let isActive = true
     const videoElement = videoRef.current
     const canvasElement = canvasRef.current
     const canvasCtx = canvasElement?.getContext('2d')
@@ -875,62 +832,13 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
       return
     }
 
-    let faceMesh
-    try {
-      faceMesh = new FaceMesh({
-        locateFile: (file) =>
-          `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`,
-      })
-
-      faceMesh.setOptions({
-        maxNumFaces: 1,
-        refineLandmarks: true,
-        minDetectionConfidence: 0.5,
-        minTrackingConfidence: 0.5,
-      })
-    } catch (faceMeshError) {
-      console.error('Unable to initialize MediaPipe FaceMesh', faceMeshError)
-      setError(
-        faceMeshError instanceof Error
-          ? faceMeshError.message
-          : 'Unable to initialize the eye tracking model.'
-      )
-      setStatus('error')
-      return
-    }
-
-    const getIrisGeometry = (landmarks, irisIndices, width, height) => {
-      const points = irisIndices
-        .map((index) => landmarks[index])
-        .filter(Boolean)
-
-      if (points.length !== irisIndices.length) {
-        return null
-      }
-
-      const center = points.reduce(
-        (acc, point) => ({
-          x: acc.x + point.x,
-          y: acc.y + point.y,
-        }),
-        { x: 0, y: 0 }
-      )
-      center.x /= points.length
-      center.y /= points.length
-
-      const radius =
-        points.reduce((acc, point) => {
-          const dx = (point.x - center.x) * width
-          const dy = (point.y - center.y) * height
-          return acc + Math.hypot(dx, dy)
-        }, 0) / points.length || 0
-
-      return {
-        center,
-        radius,
-        pixel: { x: center.x * width, y: center.y * height },
-      }
-    }
+    const tracker = new GazeTracker({
+      video: videoElement,
+      getViewerRect: () => viewerRef.current?.getBoundingClientRect() ?? null,
+      // VITE_TRACKER_WORKER=false keeps FaceMesh on the main thread
+      useWorker: import.meta.env.VITE_TRACKER_WORKER !== 'false',
+    })
+    trackerRef.current = tracker
 
     const drawIris = (geometry, color) => {
       if (!geometry) {
@@ -948,401 +856,205 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
       canvasCtx.fill()
     }
 
-    const onResults = (results) => {
-      if (!isActive) {
-        return
-      }
-
-      const { image, multiFaceLandmarks } = results
-      if (!image) {
-        return
-      }
-
-      canvasElement.width = image.width
-      canvasElement.height = image.height
+    const unsubscribe = [
+      tracker.on('status', ({ status: nextStatus, error: message }) => {
+        setStatus(nextStatus)
+        if (message) {
+          setError(message)
+        }
+      }),
+      tracker.on('frame', ({ image, width, height, landmarks, iris }) => {
+        canvasElement.width = width
+        canvasElement.height = height
 
-      canvasCtx.save()
-      canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height)
-      
-      // Only draw video frame if not in assessment (when images are showing)
-      const isInAssessment = assessmentRef.current.status === 'running'
-      if (!isInAssessment) {
-        canvasCtx.scale(-1, 1)
-        canvasCtx.translate(-canvasElement.width, 0)
-        canvasCtx.drawImage(image, 0, 0, canvasElement.width, canvasElement.height)
-        canvasCtx.restore()
         canvasCtx.save()
-        // Re-apply transform for eye tracking visualization
+        canvasCtx.clearRect(0, 0, width, height)
         canvasCtx.scale(-1, 1)
-        canvasCtx.translate(-canvasElement.width, 0)
-      }
-
-      metricsInternalRef.current.samplesTotal += 1
-
-      if (multiFaceLandmarks && multiFaceLandmarks.length > 0) {
-        metricsInternalRef.current.samplesValid += 1
-        const landmarks = multiFaceLandmarks[0]
-        
-        // Apply transform for eye tracking visualization
-        if (isInAssessment) {
-          canvasCtx.scale(-1, 1)
-          canvasCtx.translate(-canvasElement.width, 0)
+        canvasCtx.translate(-width, 0)
+        // Only draw video frame if not in assessment (when images are showing)
+        if (assessmentRef.current.status !== 'running') {
+          canvasCtx.drawImage(image, 0, 0, width, height)
         }
-        
-        drawConnectors(canvasCtx, landmarks, FACEMESH_LEFT_EYE, {
-          color: '#14ffec',
-          lineWidth: 1.5,
-        })
-        drawConnectors(canvasCtx, landmarks, FACEMESH_RIGHT_EYE, {
-          color: '#14ffec',
-          lineWidth: 1.5,
-        })
-        const leftGeometry = getIrisGeometry(
-          landmarks,
-          leftIrisIndices,
-          canvasElement.width,
-          canvasElement.height
-        )
-        const rightGeometry = getIrisGeometry(
-          landmarks,
-          rightIrisIndices,
-          canvasElement.width,
-          canvasElement.height
-        )
-        drawIris(leftGeometry, '#ff4ecd')
-        drawIris(rightGeometry, '#ff4ecd')
-
-        const leftIrisCenter = getAverageLandmark(landmarks, leftIrisIndices)
-        const rightIrisCenter = getAverageLandmark(landmarks, rightIrisIndices)
-        const leftTop = getAverageLandmark(landmarks, leftEyeTopIndices)
-        const leftBottom = getAverageLandmark(landmarks, leftEyeBottomIndices)
-        const rightTop = getAverageLandmark(landmarks, rightEyeTopIndices)
-        const rightBottom = getAverageLandmark(landmarks, rightEyeBottomIndices)
-        const leftInner = landmarks[leftEyeInnerCorner]
-        const leftOuter = landmarks[leftEyeOuterCorner]
-        const rightInner = landmarks[rightEyeInnerCorner]
-        const rightOuter = landmarks[rightEyeOuterCorner]
-
-        const calibrationCtx = calibrationRef.current
-        if (
-          calibrationCtx.status === 'running' &&
-          leftIrisCenter &&
-          rightIrisCenter
-        ) {
-          calibrationCtx.samplesForPoint.push({
-            left: leftIrisCenter,
-            right: rightIrisCenter,
+        if (landmarks) {
+          drawConnectors(canvasCtx, landmarks, FACEMESH_LEFT_EYE, {
+            color: '#14ffec',
+            lineWidth: 1.5,
+          })
+          drawConnectors(canvasCtx, landmarks, FACEMESH_RIGHT_EYE, {
+            color: '#14ffec',
+            lineWidth: 1.5,
+          })
+          drawIris(iris.left, '#ff4ecd')
+          drawIris(iris.right, '#ff4ecd')
+        }
+        canvasCtx.restore()
+      }),
+      tracker.on('sample', ({ metrics: nextMetrics }) => {
+        pendingMetrics = nextMetrics
+        eventStream.emit('tracking-data', nextMetrics)
+      }),
+      tracker.on('calibration', ({ models, ...progress }) => {
+        setCalibration(progress)
+        if (progress.status === 'complete') {
+          eventStream.emit('calibration-complete', {
+            leftModel: models.left,
+            rightModel: models.right,
+            rejectedPoints: progress.rejectedPoints,
+          })
+        }
+      }),
+      tracker.on('validation', (progress) => {
+        setValidation(progress)
+        if (progress.status === 'complete') {
+          const summary = summarizeValidation(progress.results)
+          eventStream.emit('validation-complete', {
+            results: progress.results,
+            summary,
+            passed: isValidationPassed(summary, validationThresholdsRef.current),
           })
-          if (calibrationCtx.samplesForPoint.length >= FRAMES_PER_CAL_POINT) {
-            const averageLeft = averagePoint(
-              calibrationCtx.samplesForPoint,
-              'left'
-            )
-            const averageRight = averagePoint(
-              calibrationCtx.samplesForPoint,
-              'right'
-            )
-            calibrationCtx.recorded.push({
-              target: calibrationPoints[calibrationCtx.pointIndex],
-              left: averageLeft,
-              right: averageRight,
-            })
-            calibrationCtx.samplesForPoint = []
-            calibrationCtx.pointIndex += 1
-
-            if (calibrationCtx.pointIndex >= calibrationPoints.length) {
-              const leftPairs = calibrationCtx.recorded
-                .filter((entry) => entry.left)
-                .map((entry) => ({
-                  measured: entry.left,
-                  target: entry.target,
-                }))
-              const rightPairs = calibrationCtx.recorded
-                .filter((entry) => entry.right)
-                .map((entry) => ({
-                  measured: entry.right,
-                  target: entry.target,
-                }))
-
-              calibrationCtx.models = {
-                left: leftPairs.length
-                  ? computeLinearMapping(leftPairs)
-                  : defaultCalibrationModel(),
-                right: rightPairs.length
-                  ? computeLinearMapping(rightPairs)
-                  : defaultCalibrationModel(),
-              }
-              calibrationCtx.status = 'complete'
-              setCalibration({
-                status: 'complete',
-                currentIndex: calibrationPoints.length,
-                totalPoints: calibrationPoints.length,
-                targetLabel: null,
-              })
-              if (typeof window !== 'undefined') {
-                window.dispatchEvent(
-                  new CustomEvent('eye-calibration-complete', {
-                    detail: {
-                      leftModel: calibrationCtx.models.left,
-                      rightModel: calibrationCtx.models.right,
-                    },
-                  })
-                )
-              }
-            } else {
-              setCalibration({
-                status: 'running',
-                currentIndex: calibrationCtx.pointIndex,
-                totalPoints: calibrationPoints.length,
-                targetLabel:
-                  calibrationPoints[calibrationCtx.pointIndex].label,
-              })
-            }
-          }
         }
+      }),
+      tracker.on('blinkBaseline', setBlinkBaseline),
+      tracker.on('blink', (blink) => {
+        eventStream.emit('blink', {
+          onsetMs: blink.onsetMs,
+          offsetMs: blink.offsetMs,
+          durationMs: blink.durationMs,
+          partial: blink.partial,
+          minOpenness: blink.minOpenness,
+          interBlinkIntervalMs: blink.interBlinkIntervalMs,
+        })
+      }),
+      tracker.on('fixationStart', (fixation) => eventStream.emit('fixation-start', fixation)),
+      tracker.on('fixationEnd', (fixation) => eventStream.emit('fixation-end', fixation)),
+      tracker.on('saccade', (saccade) => eventStream.emit('saccade', saccade)),
+      tracker.on('qualityWarning', (warning) => eventStream.emit('quality-warning', warning)),
+    ]
+
+    let pendingMetrics = null
+    const refreshId = setInterval(() => {
+      if (pendingMetrics) {
+        setMetrics(pendingMetrics)
+        pendingMetrics = null
+      }
+      if (assessmentRef.current.status === 'running') {
+        const { durationMs, startTimestamp } = assessmentRef.current
+        const timeLeftMs = Math.max(0, durationMs - (performance.now() - startTimestamp))
+        const samplesCaptured = tracker.recordedSampleCount
+        setAssessment((prev) => (prev.status === 'running' ? { ...prev, timeLeftMs, samplesCaptured } : prev))
+      }
+    }, UI_REFRESH_MS)
 
-        const leftHorizontal = getDistance(leftInner, leftOuter)
-        const rightHorizontal = getDistance(rightInner, rightOuter)
-        const leftVertical = getDistance(leftTop, leftBottom)
-        const rightVertical = getDistance(rightTop, rightBottom)
+    tracker.start()
 
-        const leftOpenness =
-          leftHorizontal > 0 ? clamp(leftVertical / leftHorizontal, 0, 1) : 0
-        const rightOpenness =
-          rightHorizontal > 0 ? clamp(rightVertical / rightHorizontal, 0, 1) : 0
+    return () => {
+      clearInterval(refreshId)
+      unsubscribe.forEach((off) => off())
+      tracker.stop()
+      trackerRef.current = null
+      canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height)
+    }
+  }, [isSupported])
 
-        const averageOpenness = (leftOpenness + rightOpenness) / 2
+  // Declared after the tracker effect so a new tracker picks up the current settings
+  useEffect(() => {
+    trackerRef.current?.setGazeFilter(gazeFilter)
+  }, [gazeFilter])
 
-        const internal = metricsInternalRef.current
-        const now = performance.now()
+  useEffect(() => {
+    trackerRef.current?.setEventDetection(eventDetection)
+  }, [eventDetection])
 
-        const blinkOpenThreshold = 0.24
+  useEffect(() => {
+    validationThresholdsRef.current = validationThresholds
+  }, [validationThresholds])
 
-        if (averageOpenness < BLINK_THRESHOLD && internal.blinkState === 'open') {
-          internal.blinkState = 'closed'
-          internal.blinkCount += 1
-          internal.blinkTimestamps.push(Date.now())
-        } else if (
-          averageOpenness > blinkOpenThreshold &&
-          internal.blinkState === 'closed'
-        ) {
-          internal.blinkState = 'open'
+  // Commands from an embedding page run against the latest render's state
+  useEffect(() => {
+    const requireTracker = () => {
+      if (!trackerRef.current) {
+        throw new Error('The camera is not running.')
+      }
+      return trackerRef.current
+    }
+    commandHandlerRef.current = (command, args) => {
+      switch (command) {
+        case 'start-calibration': {
+          const gridSize = args.gridSize ?? calibrationGridSize
+          if (!CALIBRATION_GRIDS[gridSize]) {
+            throw new Error(`There is no ${gridSize}-point calibration grid.`)
+          }
+          requireTracker().calibrate(CALIBRATION_GRIDS[gridSize])
+          setCalibrationGridSize(gridSize)
+          return { gridSize }
         }
-
-        internal.blinkTimestamps = internal.blinkTimestamps.filter(
-          (timestamp) => Date.now() - timestamp <= 60000
-        )
-
-        if (now - internal.lastUpdate > 100) {
-          internal.lastUpdate = now
-          const currentTimestamp = Date.now()
-          const elapsedMs = currentTimestamp - internal.startTime
-          const deltaMs = internal.prevTimestamp
-            ? Math.max(1, currentTimestamp - internal.prevTimestamp)
-            : 1
-
-          const leftVelocity =
-            internal.prevLeftCenter && leftIrisCenter
-              ? (Math.hypot(
-                  leftIrisCenter.x - internal.prevLeftCenter.x,
-                  leftIrisCenter.y - internal.prevLeftCenter.y
-                ) /
-                  deltaMs) *
-                1000
-              : 0
-          const rightVelocity =
-            internal.prevRightCenter && rightIrisCenter
-              ? (Math.hypot(
-                  rightIrisCenter.x - internal.prevRightCenter.x,
-                  rightIrisCenter.y - internal.prevRightCenter.y
-                ) /
-                  deltaMs) *
-                1000
-              : 0
-
-          internal.prevLeftCenter = leftIrisCenter
-          internal.prevRightCenter = rightIrisCenter
-          internal.prevTimestamp = currentTimestamp
-
-          const leftEyeWidthPx = leftHorizontal * canvasElement.width
-          const rightEyeWidthPx = rightHorizontal * canvasElement.width
-          const leftScale =
-            leftEyeWidthPx > 0 ? AVERAGE_EYE_WIDTH_MM / leftEyeWidthPx : 0
-          const rightScale =
-            rightEyeWidthPx > 0 ? AVERAGE_EYE_WIDTH_MM / rightEyeWidthPx : 0
-
-          // REMOVED: Pupil diameter calculation (MediaPipe cannot directly measure pupil diameter)
-
-          // Apply calibration if we have valid iris centers and calibration is complete
-          const hasCalibration = calibrationRef.current.status === 'complete'
-          let correctedLeft = null
-          let correctedRight = null
-          
-          if (leftIrisCenter && hasCalibration) {
-            correctedLeft = applyCalibration(
-              calibrationRef.current.models.left,
-              leftIrisCenter
-            )
-          } else if (leftIrisCenter) {
-            // Use uncalibrated point if calibration not complete
-            correctedLeft = leftIrisCenter
+        case 'reset-calibration':
+          requireTracker().resetCalibration(CALIBRATION_GRIDS[calibrationGridSize])
+          return null
+        case 'start-validation':
+          if (calibration.status !== 'complete') {
+            throw new Error('Calibrate before validating.')
           }
-          
-          if (rightIrisCenter && hasCalibration) {
-            correctedRight = applyCalibration(
-              calibrationRef.current.models.right,
-              rightIrisCenter
-            )
-          } else if (rightIrisCenter) {
-            // Use uncalibrated point if calibration not complete
-            correctedRight = rightIrisCenter
+          requireTracker().validate()
+          return null
+        case 'record-blink-baseline':
+          requireTracker().measureBlinkBaseline()
+          return null
+        case 'set-participant':
+          if (assessment.status === 'running') {
+            throw new Error('The participant cannot change during an assessment.')
           }
-
-          const pointOfRegardLeft = correctedLeft && correctedLeft.x != null && correctedLeft.y != null
-            ? {
-                x: Number((correctedLeft.x * image.width).toFixed(0)),
-                y: Number((correctedLeft.y * image.height).toFixed(0)),
-              }
-            : { x: 0, y: 0 }
-
-          const pointOfRegardRight = correctedRight && correctedRight.x != null && correctedRight.y != null
-            ? {
-                x: Number((correctedRight.x * image.width).toFixed(0)),
-                y: Number((correctedRight.y * image.height).toFixed(0)),
-              }
-            : { x: 0, y: 0 }
-
-          const categoryLeft = classifyMovement(
-            leftVelocity,
-            leftOpenness,
-            BLINK_THRESHOLD,
-            FIXATION_VELOCITY_THRESHOLD
-          )
-          const categoryRight = classifyMovement(
-            rightVelocity,
-            rightOpenness,
-            BLINK_THRESHOLD,
-            FIXATION_VELOCITY_THRESHOLD
-          )
-
-          const trackingRatio =
-            metricsInternalRef.current.samplesTotal > 0
-              ? Number(
-                  (
-                    (metricsInternalRef.current.samplesValid /
-                      metricsInternalRef.current.samplesTotal) *
-                    100
-                  ).toFixed(2)
-                )
-              : 0
-
-          const nextMetrics = {
-            recordingTimeMs: elapsedMs,
-            categoryRight,
-            categoryLeft,
-            pointOfRegardRightX: pointOfRegardRight.x,
-            pointOfRegardRightY: pointOfRegardRight.y,
-            pointOfRegardLeftX: pointOfRegardLeft.x,
-            pointOfRegardLeftY: pointOfRegardLeft.y,
-            trackingRatio,
+          setUserInfo({ age: String(args.age ?? ''), gender: args.gender ?? '' })
+          return null
+        case 'start-assessment': {
+          const participant =
+            args.age === undefined && args.gender === undefined
+              ? userInfo
+              : { age: String(args.age ?? ''), gender: args.gender ?? '' }
+          const problem = startAssessment(participant)
+          if (problem) {
+            throw new Error(problem)
           }
-
-          if (assessmentRef.current.status === 'running') {
-            const relativeRecordingMs = Math.min(
-              ASSESSMENT_DURATION_MS,
-              performance.now() - assessmentRef.current.startTimestamp
-            )
-
-            assessmentRef.current.samples.push({
-              recordingTimeMs: Number(relativeRecordingMs.toFixed(2)),
-              timestampIso: new Date().toISOString(),
-              categoryRight,
-              categoryLeft,
-              pointOfRegardRightX: nextMetrics.pointOfRegardRightX,
-              pointOfRegardRightY: nextMetrics.pointOfRegardRightY,
-              pointOfRegardLeftX: nextMetrics.pointOfRegardLeftX,
-              pointOfRegardLeftY: nextMetrics.pointOfRegardLeftY,
-              trackingRatio: Number(nextMetrics.trackingRatio.toFixed(2)),
-            })
-
-            setAssessment((prev) =>
-              prev.status === 'running'
-                ? {
-                    ...prev,
-                    samplesCaptured: assessmentRef.current.samples.length,
-                  }
-                : prev
-            )
+          // The recording is saved under the participant it started with
+          setUserInfo(participant)
+          return { startedAt: assessmentRef.current.startedAt }
+        }
+        case 'cancel-assessment':
+          if (assessmentRef.current.status !== 'running') {
+            throw new Error('No assessment is running.')
           }
-
-          setMetrics(nextMetrics)
-
-          if (typeof window !== 'undefined') {
-            window.dispatchEvent(
-              new CustomEvent('eye-tracking-data', { detail: nextMetrics })
-            )
+          resetAssessment()
+          return null
+        case 'get-status':
+          return {
+            camera: status,
+            calibration: calibration.status,
+            validation: validation.status,
+            blinkBaseline: blinkBaseline.status,
+            assessment: assessment.status,
+            participant: userInfo,
           }
-        }
-      }
-
-      canvasCtx.restore()
-    }
-
-    faceMesh.onResults(onResults)
-
-    const startCamera = async () => {
-      setStatus('requesting')
-      try {
-        camera = new Camera(videoElement, {
-          onFrame: async () => {
-            if (!isActive) {
-              return
-            }
-            await faceMesh.send({ image: videoElement })
-          },
-          width: 640,
-          height: 480,
-        })
-        await camera.start()
-        setStatus('ready')
-      } catch (err) {
-        if (!isActive) {
-          return
-        }
-        setError(
-          err instanceof Error
-            ? err.message
-            : 'Unable to connect to the camera.'
-        )
-        setStatus('error')
+        default:
+          throw new Error(`Unknown command: ${command}`)
       }
     }
+  })
 
-    startCamera()
-
-    return () => {
-      isActive = false
-      if (faceMesh) {
-        faceMesh.close()
-      }
-      if (camera) {
-        camera.stop()
-      }
-      const stream = videoElement.srcObject
-      if (stream) {
-        const tracks = stream.getTracks ? stream.getTracks() : []
-        tracks.forEach((track) => track.stop())
-      }
-      videoElement.srcObject = null
-      canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height)
-    }
-  }, [isSupported])
+  useEffect(
+    () =>
+      connectPostMessageBridge({
+        stream: eventStream,
+        handleCommand: (command, args) => commandHandlerRef.current(command, args),
+        allowedOrigins: parseAllowedOrigins(import.meta.env.VITE_EMBED_ORIGINS),
+      }),
+    []
+  )
 
   const statusLabel =
     statusCopy[status] ?? (status === 'error' ? 'Camera error' : 'Status')
   const activeCalibrationPoint =
-    calibration.status === 'running' && calibration.currentIndex < calibrationPoints.length
-      ? calibrationPoints[calibration.currentIndex]
+    calibration.status === 'running' && calibration.currentIndex < calibration.totalPoints
+      ? CALIBRATION_GRIDS[calibrationGridSize][calibration.currentIndex]
       : null
   const calibrationProgress =
     calibration.status === 'running'
@@ -1350,16 +1062,53 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
       : calibration.status === 'complete'
         ? 1
         : 0
+  // Before a run the timer shows the loaded protocol's full length
   const assessmentSecondsRemaining = Math.max(
     0,
-    Math.ceil(assessment.timeLeftMs / 1000)
+    Math.ceil(
+      (assessment.status === 'idle' && protocolSelection.protocol
+        ? protocolDurationMs(protocolSelection.protocol)
+        : assessment.timeLeftMs) / 1000
+    )
   )
+  const currentEntry =
+    assessment.status === 'running' ? assessment.schedule[currentStimulusIndex] : null
+  const stimulusCount = assessment.schedule.filter((entry) => entry.type !== 'fixation').length
+  // Imported samples are shown on the loaded protocol's stimuli
+  let replay = null
+  if (replayImport.status === 'ready') {
+    replay = {
+      key: `file:${replayImport.name}`,
+      samples: replayImport.samples,
+      stimuli: protocolSelection.protocol?.stimuli ?? [],
+    }
+  } else if (assessment.gazeResults) {
+    replay = {
+      key: `recording:${assessment.gazeResults.session.startedAt}`,
+      samples: assessment.gazeResults.samples,
+      stimuli: assessment.schedule,
+    }
+  }
+  const stimulusPosition = assessment.schedule
+    .slice(0, currentStimulusIndex + 1)
+    .filter((entry) => entry.type !== 'fixation').length
   const isCalibrationReady = calibration.status === 'complete'
+  const activeValidationPoint =
+    validation.status === 'running' ? VALIDATION_POINTS[validation.currentIndex] : null
+  const validationSummary = summarizeValidation(validation.results)
+  const isValidationReady =
+    validation.status === 'complete' && isValidationPassed(validationSummary, validationThresholds)
   const hasUserInfo = userInfo.age && userInfo.gender
-  // Validate age is in pediatric range (2.7-12.9 years) - model was trained on this range
-  const ageNum = parseFloat(userInfo.age)
-  const ageValid = hasUserInfo && !isNaN(ageNum) && ageNum >= 2.7 && ageNum <= 12.9
-  const canStartAssessment = assessment.status !== 'running' && isCalibrationReady && hasUserInfo && ageValid
+  const ageValid = hasUserInfo && isAgeInRange(userInfo.age)
+  const isBlinkBaselineReady = blinkBaseline.status === 'complete'
+  const canStartAssessment =
+    assessment.status !== 'running' &&
+    protocolSelection.status === 'ready' &&
+    isCalibrationReady &&
+    isValidationReady &&
+    isBlinkBaselineReady &&
+    hasUserInfo &&
+    ageValid
 
   return (
     <div className="app">
@@ -1413,12 +1162,12 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
         </div>
         {(!userInfo.age || !userInfo.gender) && assessment.status === 'idle' && (
           <p className="user-info-hint">
-            Please enter age (2.7-12.9 years) and gender before starting the assessment.
+            Please enter age ({AGE_RANGE.min}-{AGE_RANGE.max} years) and gender before starting the assessment.
           </p>
         )}
         {userInfo.age && !ageValid && assessment.status === 'idle' && (
           <p className="user-info-hint" style={{ color: 'rgba(239, 68, 68, 0.9)' }}>
-            Age must be between 2.7 and 12.9 years (model trained on pediatric data).
+            Age must be between {AGE_RANGE.min} and {AGE_RANGE.max} years (model trained on pediatric data).
           </p>
         )}
       </section>
@@ -1428,10 +1177,25 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
           <h2>Calibration</h2>
           <p>
             Improve gaze accuracy by following the highlighted targets. Allow
-            roughly 1–2 seconds per point.
+            roughly 1–2 seconds per point. More points model the corners better.
           </p>
         </div>
         <div className="calibration-actions">
+          <div className="input-group calibration-grid">
+            <label htmlFor="calibration-grid">Calibration grid</label>
+            <select
+              id="calibration-grid"
+              value={calibrationGridSize}
+              onChange={(e) => setCalibrationGridSize(Number(e.target.value))}
+              disabled={calibration.status === 'running'}
+            >
+              {Object.keys(CALIBRATION_GRIDS).map((size) => (
+                <option key={size} value={size}>
+                  {size} points
+                </option>
+              ))}
+            </select>
+          </div>
           <button
             type="button"
             className="control-btn primary"
@@ -1449,6 +1213,16 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
               Recalibrate
             </button>
           )}
+          {calibration.status === 'complete' && (
+            <button
+              type="button"
+              className="control-btn secondary"
+              onClick={startValidation}
+              disabled={validation.status === 'running' || assessment.status === 'running'}
+            >
+              {validation.status === 'running' ? 'Validating…' : 'Rerun Validation'}
+            </button>
+          )}
         </div>
         {calibration.status === 'running' && (
           <>
@@ -1467,6 +1241,65 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
             Calibration complete. Metrics now use corrected gaze coordinates.
           </p>
         )}
+        {calibration.status === 'complete' && calibration.rejectedPoints.length > 0 && (
+          <p className="calibration-message">
+            Excluded unreliable targets: {calibration.rejectedPoints.join(', ')}
+          </p>
+        )}
+        {validation.status === 'running' && (
+          <p className="calibration-message">
+            Validating: focus on the {activeValidationPoint?.label.replace('-', ' ')} target (
+            {validation.currentIndex + 1} / {VALIDATION_POINTS.length})
+          </p>
+        )}
+        {validation.status === 'complete' && (
+          <ValidationReport
+            results={validation.results}
+            summary={validationSummary}
+            thresholds={validationThresholds}
+            onThresholdsChange={setValidationThresholds}
+            passed={isValidationReady}
+            disabled={assessment.status === 'running'}
+          />
+        )}
+        <div className="calibration-actions">
+          <button
+            type="button"
+            className="control-btn secondary"
+            onClick={startBlinkBaseline}
+            disabled={
+              status !== 'ready' ||
+              blinkBaseline.status === 'running' ||
+              calibration.status === 'running' ||
+              validation.status === 'running' ||
+              assessment.status === 'running'
+            }
+          >
+            {blinkBaseline.status === 'running'
+              ? 'Recording baseline…'
+              : blinkBaseline.status === 'complete'
+                ? 'Rerecord Blink Baseline'
+                : 'Record Blink Baseline'}
+          </button>
+        </div>
+        {blinkBaseline.status === 'running' && (
+          <p className="calibration-message">
+            Look at the cross and blink normally for {BLINK_BASELINE_DURATION_MS / 1000} seconds.
+          </p>
+        )}
+        {blinkBaseline.status === 'complete' && (
+          <p className="calibration-message success">
+            Blink baseline recorded. Open eyes: L {blinkBaseline.baseline.openLeft.toFixed(3)} / R{' '}
+            {blinkBaseline.baseline.openRight.toFixed(3)}. Blinks start below{' '}
+            {(blinkBaseline.baseline.partialThreshold * 100).toFixed(0)}% and are full below{' '}
+            {(blinkBaseline.baseline.closeThreshold * 100).toFixed(0)}% of open.
+          </p>
+        )}
+        {blinkBaseline.status === 'failed' && (
+          <p className="calibration-message validation-failed">
+            Not enough open-eye frames for a blink baseline. Keep the face in view and try again.
+          </p>
+        )}
       </section>
 
       <div className="viewer-metrics-container">
@@ -1491,13 +1324,22 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
             <div className="metric-card">
               <span className="metric-label">Right gaze</span>
               <span className="metric-value">
-                {metrics.pointOfRegardRightX}, {metrics.pointOfRegardRightY}
+                {metrics.pointOfRegardRightX ?? '—'}, {metrics.pointOfRegardRightY ?? '—'}
               </span>
             </div>
             <div className="metric-card">
               <span className="metric-label">Left gaze</span>
               <span className="metric-value">
-                {metrics.pointOfRegardLeftX}, {metrics.pointOfRegardLeftY}
+                {metrics.pointOfRegardLeftX ?? '—'}, {metrics.pointOfRegardLeftY ?? '—'}
+              </span>
+            </div>
+            <div className="metric-card">
+              <span className="metric-label">Head yaw / pitch</span>
+              <span className="metric-value">
+                {metrics.headYawDeg ?? '—'}°, {metrics.headPitchDeg ?? '—'}°
+              </span>
+              <span className="metric-subtext">
+                {metrics.headDistanceMm ? `${(metrics.headDistanceMm / 10).toFixed(0)} cm away` : 'No face'}
               </span>
             </div>
             <div className="metric-card">
@@ -1507,14 +1349,31 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
           </div>
         </section>
 
-        <div className="viewer">
-          {assessment.status === 'running' && ASSESSMENT_IMAGES[currentImageIndex] && (
+        <div className="viewer" ref={viewerRef}>
+          {currentEntry && (
             <div className="assessment-image-container">
-              <img
-                src={ASSESSMENT_IMAGES[currentImageIndex].src}
-                alt={ASSESSMENT_IMAGES[currentImageIndex].name}
-                className="assessment-image"
-              />
+              {currentEntry.type === 'fixation' && <div className="fixation-cross" />}
+              {currentEntry.type === 'image' && (
+                <img
+                  ref={stimulusRef}
+                  src={currentEntry.src}
+                  alt={currentEntry.name}
+                  className="assessment-image"
+                  style={{ objectFit: currentEntry.fit }}
+                />
+              )}
+              {currentEntry.type === 'video' && (
+                <video
+                  key={currentEntry.id}
+                  ref={stimulusRef}
+                  src={currentEntry.src}
+                  className="assessment-image"
+                  style={{ objectFit: currentEntry.fit }}
+                  autoPlay
+                  playsInline
+                  muted={currentEntry.muted ?? true}
+                />
+              )}
             </div>
           )}
           <video
@@ -1527,6 +1386,19 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
           />
           <canvas ref={canvasRef} className="overlay" />
           <span className={`status-badge status-${status}`}>{statusLabel}</span>
+          {activeValidationPoint && (
+            <div
+              className="calibration-target validation-target"
+              style={{
+                left: `${activeValidationPoint.x * 100}%`,
+                top: `${activeValidationPoint.y * 100}%`,
+              }}
+            />
+          )}
+          {validation.status === 'complete' && assessment.status !== 'running' && (
+            <ValidationOverlay results={validation.results} />
+          )}
+          {blinkBaseline.status === 'running' && <div className="fixation-cross" />}
           {activeCalibrationPoint && (
             <div
               className="calibration-target"
@@ -1539,7 +1411,9 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
           {assessment.status === 'running' && (
             <div className="image-navigation">
               <div className="image-counter">
-                Image {currentImageIndex + 1} of {ASSESSMENT_IMAGES.length}
+                {currentEntry?.type === 'fixation'
+                  ? 'Fixation cross'
+                  : `Stimulus ${stimulusPosition} of ${stimulusCount}`}
               </div>
             </div>
           )}
@@ -1548,32 +1422,172 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
 
       <section className="assessment-runner">
         <div className="assessment-header">
-          <h2>30-Second Data Capture</h2>
+          <h2>Data Capture</h2>
           <p>
-            Collects calibrated gaze samples for 30 seconds and analyzes them
-            using the ASD prediction model.
+            Collects calibrated gaze samples while the protocol&apos;s stimuli are
+            shown and analyzes them using the ASD prediction model.
           </p>
         </div>
+        <ProtocolPicker
+          options={protocolOptions}
+          selection={protocolSelection}
+          onSelect={selectBundledProtocol}
+          onOpenFile={openProtocolFile}
+          counterbalanceSlot={counterbalanceSlot}
+          onCounterbalanceSlotChange={setCounterbalanceSlot}
+          disabled={assessment.status === 'running'}
+        />
         <div className="assessment-timer">
           <span className="timer-value">
             {assessmentSecondsRemaining.toString().padStart(2, '0')}
           </span>
           <span className="timer-label">seconds left</span>
         </div>
+        <div className="input-group prediction-backend">
+          <label htmlFor="prediction-backend">Prediction model</label>
+          <select
+            id="prediction-backend"
+            value={predictionBackend}
+            onChange={(e) => setPredictionBackend(e.target.value)}
+            disabled={assessment.status === 'running' || prediction.loading}
+          >
+            {PREDICTION_BACKENDS.map((backend) => (
+              <option key={backend.id} value={backend.id}>
+                {backend.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="input-group prediction-backend">
+          <label htmlFor="interpretation-provider">Interpretation</label>
+          <select
+            id="interpretation-provider"
+            value={interpretationProvider}
+            onChange={(e) => setInterpretationProvider(e.target.value)}
+            disabled={assessment.status === 'running' || neuroSummary.loading}
+          >
+            {INTERPRETATION_PROVIDERS.map((provider) => (
+              <option key={provider.id} value={provider.id} disabled={!provider.configured}>
+                {provider.configured ? provider.label : `${provider.label} (not configured)`}
+              </option>
+            ))}
+          </select>
+        </div>
+        <GazeFilterSettings
+          settings={gazeFilter}
+          onChange={setGazeFilter}
+          disabled={assessment.status === 'running'}
+        />
+        <div className="event-detection-settings">
+          <div className="input-group">
+            <label htmlFor="event-algorithm">Event detection</label>
+            <select
+              id="event-algorithm"
+              value={eventDetection.algorithm}
+              onChange={(e) => setEventDetection({ ...eventDetection, algorithm: e.target.value })}
+              disabled={assessment.status === 'running'}
+            >
+              {EVENT_DETECTION_ALGORITHMS.map((algorithm) => (
+                <option key={algorithm.id} value={algorithm.id}>
+                  {algorithm.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {eventDetection.algorithm === 'ivt' ? (
+            <div className="input-group">
+              <label htmlFor="velocity-threshold">Saccade velocity (px/s)</label>
+              <input
+                id="velocity-threshold"
+                type="number"
+                min="1"
+                value={eventDetection.velocityThreshold}
+                onChange={(e) => setEventDetection({ ...eventDetection, velocityThreshold: Number(e.target.value) || 0 })}
+                disabled={assessment.status === 'running'}
+              />
+            </div>
+          ) : (
+            <div className="input-group">
+              <label htmlFor="dispersion-threshold">Max dispersion (px)</label>
+              <input
+                id="dispersion-threshold"
+                type="number"
+                min="1"
+                value={eventDetection.dispersionThreshold}
+                onChange={(e) => setEventDetection({ ...eventDetection, dispersionThreshold: Number(e.target.value) || 0 })}
+                disabled={assessment.status === 'running'}
+              />
+            </div>
+          )}
+          <div className="input-group">
+            <label htmlFor="min-fixation">Min fixation (ms)</label>
+            <input
+              id="min-fixation"
+              type="number"
+              min="0"
+              value={eventDetection.minFixationDurationMs}
+              onChange={(e) => setEventDetection({ ...eventDetection, minFixationDurationMs: Number(e.target.value) || 0 })}
+              disabled={assessment.status === 'running'}
+            />
+          </div>
+        </div>
+        {schemaCheck.status === 'mismatch' && (
+          <div className="prediction-error schema-report">
+            {formatSchemaReport(schemaCheck.report).split('\n').map((line) => (
+              <p key={line}>{line}</p>
+            ))}
+            <p className="error-hint">Predictions are blocked until the model is retrained on this schema.</p>
+          </div>
+        )}
+        {schemaCheck.status === 'unavailable' && (
+          <p className="assessment-hint">
+            Feature schema v{FEATURE_SCHEMA_VERSION} could not be checked against the model: {schemaCheck.error}
+          </p>
+        )}
         <div className="assessment-details">
           <span>Status: {assessment.status}</span>
           <span>Samples: {assessment.samplesCaptured}</span>
+          {assessment.dataLoss && (
+            <span>
+              Data loss: {assessment.dataLoss.dataLossPercent}% ({assessment.dataLoss.noFacePercent}% no face,{' '}
+              {assessment.dataLoss.interpolatedPercent}% interpolated)
+            </span>
+          )}
+          {assessment.blinkSummary && (
+            <span>
+              Blinks: {assessment.blinkSummary.count} ({assessment.blinkSummary.partialCount} partial)
+              {assessment.blinkSummary.meanDurationMs !== null &&
+                `, mean ${assessment.blinkSummary.meanDurationMs.toFixed(0)} ms`}
+              {assessment.blinkSummary.meanInterBlinkIntervalMs !== null &&
+                `, every ${(assessment.blinkSummary.meanInterBlinkIntervalMs / 1000).toFixed(1)} s`}
+            </span>
+          )}
         </div>
+        {assessment.stimulusBlocks && (
+          <StimulusComparison
+            sessionFeatures={assessment.sessionFeatures}
+            blocks={assessment.stimulusBlocks}
+          />
+        )}
+        {assessment.aoiMetrics && <AoiReport metrics={assessment.aoiMetrics} />}
+        {assessment.gazeResults && (
+          <GazeResults
+            schedule={assessment.schedule}
+            samples={assessment.gazeResults.samples}
+            fixations={assessment.gazeResults.fixations}
+            session={assessment.gazeResults.session}
+          />
+        )}
         <div className="assessment-buttons">
           <button
             type="button"
             className="control-btn primary"
-            onClick={startAssessment}
+            onClick={() => startAssessment()}
             disabled={!canStartAssessment}
           >
             {assessment.status === 'running'
               ? 'Capturing…'
-              : 'Start 30s Capture'}
+              : `Start ${assessmentSecondsRemaining}s Capture`}
           </button>
           <button
             type="button"
@@ -1588,6 +1602,55 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
           >
             {assessment.status === 'running' ? 'Cancel Capture' : 'Reset'}
           </button>
+          {assessment.downloads && (
+            <>
+              <button
+                type="button"
+                className="control-btn secondary"
+                onClick={() => handleCsvDownload('samples')}
+              >
+                Download Samples CSV
+              </button>
+              <button
+                type="button"
+                className="control-btn secondary"
+                onClick={() => handleCsvDownload('features')}
+              >
+                Download Features CSV
+              </button>
+              <button
+                type="button"
+                className="control-btn secondary"
+                onClick={() => handleCsvDownload('blinks')}
+              >
+                Download Blinks CSV
+              </button>
+              <button
+                type="button"
+                className="control-btn secondary"
+                onClick={() => handleCsvDownload('stimulusFeatures')}
+              >
+                Download Per-Stimulus Features CSV
+              </button>
+              <button
+                type="button"
+                className="control-btn secondary"
+                onClick={() =>
+                  downloadSessionBundle({
+                    ...assessment.record,
+                    prediction: { result: prediction.result, error: prediction.error },
+                    summary: {
+                      content: neuroSummary.content,
+                      error: neuroSummary.error,
+                      provider: neuroSummary.provider,
+                    },
+                  })
+                }
+              >
+                Download Session Bundle
+              </button>
+            </>
+          )}
           {prediction.loading && (
             <div className="prediction-loading">
               <p>Analyzing eye-tracking data...</p>
@@ -1595,8 +1658,14 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
           )}
           {prediction.error && (
             <div className="prediction-error">
-              <p>Error: {prediction.error}</p>
-              <p className="error-hint">Make sure the API server is running at http://localhost:8000</p>
+              {prediction.error.split('\n').map((line) => (
+                <p key={line}>{line}</p>
+              ))}
+              <p className="error-hint">
+                {predictionBackend === 'remote'
+                  ? `Make sure the API server is running at ${REMOTE_PREDICTION_URL}`
+                  : 'Make sure public/model/model.json and public/scaler_params.json exist'}
+              </p>
             </div>
           )}
           {prediction.result && (
@@ -1632,7 +1701,7 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
               </div>
               {neuroSummary.loading && (
                 <div className="neuro-summary-loading">
-                  <p>Generating AI interpretation...</p>
+                  <p>Generating interpretation...</p>
                 </div>
               )}
               {neuroSummary.error && (
@@ -1642,7 +1711,9 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
               )}
               {neuroSummary.content && (
                 <div className="neuro-summary">
-                  <h4>AI-Generated Interpretation</h4>
+                  <h4>
+                    {neuroSummary.provider === 'template' ? 'Interpretation (template)' : 'AI-Generated Interpretation'}
+                  </h4>
                   <div className="neuro-summary-content">
                     {neuroSummary.content.split('\n').map((paragraph, idx) => 
                       paragraph.trim() ? (
@@ -1660,9 +1731,19 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
             Complete calibration before starting the capture run.
           </p>
         )}
+        {isCalibrationReady && !isValidationReady && (
+          <p className="assessment-hint">
+            Calibration must pass validation before starting the capture run.
+          </p>
+        )}
+        {isValidationReady && !isBlinkBaselineReady && (
+          <p className="assessment-hint">
+            Record a blink baseline before starting the capture run.
+          </p>
+        )}
         {(!hasUserInfo || !ageValid) && assessment.status === 'idle' && (
           <p className="assessment-hint">
-            Please enter valid age (2-18) and gender in the Participant Information section above.
+            Please enter valid age ({AGE_RANGE.min}-{AGE_RANGE.max} years) and gender in the Participant Information section above.
           </p>
         )}
         {assessment.status === 'complete' && (
@@ -1672,6 +1753,95 @@ Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses
         )}
       </section>
 
+      <section className="session-replay-section">
+        <div className="assessment-header">
+          <h2>Session Replay</h2>
+        </div>
+        <div className="replay-source">
+          <div className="input-group">
+            <label htmlFor="replay-file">Open samples CSV</label>
+            <input
+              id="replay-file"
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => {
+                const file = e.target.files?.[0]
+                if (file) {
+                  openReplayFile(file)
+                }
+                e.target.value = ''
+              }}
+              disabled={assessment.status === 'running'}
+            />
+          </div>
+          {replayImport.status === 'ready' && (
+            <p className="assessment-hint">
+              Replaying {replayImport.name} ({replayImport.samples.length} samples) on the stimuli of the
+              loaded protocol.{' '}
+              {assessment.gazeResults && (
+                <button
+                  type="button"
+                  className="control-btn secondary"
+                  onClick={() => setReplayImport({ status: 'idle', name: '', samples: null, error: null })}
+                >
+                  Replay Last Recording
+                </button>
+              )}
+            </p>
+          )}
+          {replayImport.status === 'error' && (
+            <div className="prediction-error">
+              {replayImport.error.split('\n').map((line) => (
+                <p key={line}>{line}</p>
+              ))}
+            </div>
+          )}
+        </div>
+        {replay ? (
+          <SessionReplay
+            key={replay.key}
+            samples={replay.samples}
+            stimuli={replay.stimuli}
+            eventOptions={eventDetection}
+          />
+        ) : (
+          <p className="assessment-hint">
+            Finish a capture or open a samples CSV to replay it.
+          </p>
+        )}
+      </section>
+
+      <section className="session-history-section">
+        <div className="assessment-header">
+          <h2>Session History</h2>
+        </div>
+        <div className="input-group">
+          <label htmlFor="session-bundle-file">Import session bundle</label>
+          <input
+            id="session-bundle-file"
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              const file = e.target.files?.[0]
+              if (file) {
+                importSessionBundle(file)
+              }
+              e.target.value = ''
+            }}
+            disabled={assessment.status === 'running'}
+          />
+        </div>
+        <SessionHistory
+          history={sessionHistory}
+          activeSessionId={assessment.status === 'complete' ? savedSessionIdRef.current : null}
+          onReopen={reopenSession}
+          onExport={exportSavedSession}
+          onExportBundle={exportSavedSessionBundle}
+          onDelete={removeSavedSession}
+          disabled={assessment.status === 'running'}
+        />
+      </section>
+
       {error && (
         <div className="error-message">
           <strong>Heads up:</strong> {error}
@@ -0,0 +1,168 @@
+// Areas of interest on the stimuli. Gaze in stimulus coordinates (see
+// coordinates.js) is hit-tested against each stimulus's AOIs while recording
+// (samples carry the AOI id), and the per-AOI metrics are computed from those
+// samples and the detected fixations. Samples whose gaze was filled in by
+// gap interpolation (see missingData.js) are hit-tested again at the
+// interpolated point before the metrics are computed.
+
+import { averagePoints } from './coordinates.js'
+import { hasUsableGaze } from './missingData.js'
+
+// Even-odd ray casting
+const isPointInPolygon = (point, points) => {
+  let inside = false
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i]
+    const [xj, yj] = points[j]
+    if (yi > point.y !== yj > point.y && point.x < ((xj - xi) * (point.y - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+export const isPointInAoi = (point, aoi) => {
+  if (aoi.shape === 'polygon') {
+    return isPointInPolygon(point, aoi.points)
+  }
+  return (
+    point.x >= aoi.x && point.x <= aoi.x + aoi.width && point.y >= aoi.y && point.y <= aoi.y + aoi.height
+  )
+}
+
+// First matching AOI id, or null off the image / outside every AOI
+export const findAoi = (stimulusPoint, aois) =>
+  stimulusPoint ? (aois.find((aoi) => isPointInAoi(stimulusPoint, aoi))?.id ?? null) : null
+
+const stimulusPoint = (sample, eye) =>
+  Number.isFinite(sample[`stimulus${eye}X`]) && Number.isFinite(sample[`stimulus${eye}Y`])
+    ? { x: sample[`stimulus${eye}X`], y: sample[`stimulus${eye}Y`] }
+    : null
+
+// Returns the samples with the AOI of every interpolated sample recomputed
+// from its filled stimulus coordinates, as the tracker does while recording
+export const labelInterpolatedAois = (samples, schedule) => {
+  const aoisById = new Map(schedule.map((stimulus) => [stimulus.id, stimulus.aois ?? []]))
+  return samples.map((sample) => {
+    const aois = aoisById.get(sample.stimulusId)
+    if (!aois?.length || !(sample.interpolatedLeft || sample.interpolatedRight)) {
+      return sample
+    }
+    return {
+      ...sample,
+      aoi: findAoi(averagePoints(stimulusPoint(sample, 'Left'), stimulusPoint(sample, 'Right')), aois),
+    }
+  })
+}
+
+const median = (values) => {
+  if (!values.length) {
+    return 0
+  }
+  const sorted = values.slice().sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+// Time each sample stands for: the gap to the next one, with gaps from lost
+// tracking capped at a few sampling intervals
+const sampleDurations = (samples) => {
+  const intervals = samples
+    .slice(1)
+    .map((sample, index) => sample.recordingTimeMs - samples[index].recordingTimeMs)
+  const typical = median(intervals)
+  return samples.map((sample, index) =>
+    index < intervals.length ? Math.min(intervals[index], typical * 3) : typical
+  )
+}
+
+// The AOI most of a fixation's samples fell in
+const fixationAoi = (fixation, samples) => {
+  const counts = {}
+  samples.slice(fixation.startIndex, fixation.endIndex + 1).forEach((sample) => {
+    if (sample.aoi) {
+      counts[sample.aoi] = (counts[sample.aoi] ?? 0) + 1
+    }
+  })
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1])
+  return ranked.length ? ranked[0][0] : null
+}
+
+// Samples are matched to stimuli by their stimulusId.
+// schedule: [{ id, name, aois, onsetMs, offsetMs }], see buildStimulusSchedule
+// in protocol.js
+export const computeAoiMetrics = (samples, fixations, schedule) => {
+  const durations = sampleDurations(samples)
+  const labelledFixations = fixations.map((fixation) => ({
+    ...fixation,
+    aoi: fixationAoi(fixation, samples),
+  }))
+
+  // Fixation crosses and stimuli without AOIs have nothing to report
+  return schedule.filter((stimulus) => stimulus.aois?.length).map((stimulus) => {
+    const indices = samples
+      .map((sample, index) => index)
+      .filter((index) => samples[index].stimulusId === stimulus.id)
+    // A fixation belongs to the stimulus it started on
+    const stimulusFixations = labelledFixations.filter(
+      (fixation) => samples[fixation.startIndex]?.stimulusId === stimulus.id
+    )
+
+    const aois = stimulus.aois.map((aoi) => {
+      let dwellTimeMs = 0
+      let visits = 0
+      let inside = false
+      indices.forEach((index) => {
+        const sample = samples[index]
+        // Blinks and samples without gaze neither add dwell time nor end a visit
+        if (sample.blink || !(hasUsableGaze(sample, 'Left') || hasUsableGaze(sample, 'Right'))) {
+          return
+        }
+        const hit = sample.aoi === aoi.id
+        if (hit) {
+          dwellTimeMs += durations[index]
+          if (!inside) {
+            visits += 1
+          }
+        }
+        inside = hit
+      })
+      const aoiFixations = stimulusFixations.filter((fixation) => fixation.aoi === aoi.id)
+      return {
+        id: aoi.id,
+        label: aoi.label,
+        dwellTimeMs,
+        timeToFirstFixationMs: aoiFixations.length ? aoiFixations[0].onsetMs - stimulus.onsetMs : null,
+        fixationCount: aoiFixations.length,
+        revisits: Math.max(0, visits - 1),
+      }
+    })
+
+    return {
+      stimulusId: stimulus.id,
+      stimulusName: stimulus.name,
+      durationMs: stimulus.offsetMs - stimulus.onsetMs,
+      aois,
+    }
+  })
+}
+
+// Extra aggregated CSV columns, e.g. aoi_portrait_eyes_dwell_ms. They are
+// appended after the schema columns and never sent to the model.
+export const AOI_METRIC_COLUMNS = [
+  { suffix: 'dwell_ms', key: 'dwellTimeMs' },
+  { suffix: 'ttff_ms', key: 'timeToFirstFixationMs' },
+  { suffix: 'fix_count', key: 'fixationCount' },
+  { suffix: 'revisits', key: 'revisits' },
+]
+
+export const buildAoiFeatureColumns = (metrics) => {
+  const columns = {}
+  metrics.forEach((stimulus) => {
+    stimulus.aois.forEach((aoi) => {
+      AOI_METRIC_COLUMNS.forEach(({ suffix, key }) => {
+        columns[`aoi_${stimulus.stimulusId}_${aoi.id}_${suffix}`] = aoi[key]
+      })
+    })
+  })
+  return columns
+}
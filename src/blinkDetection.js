@@ -0,0 +1,127 @@
+// Per-participant blink detection. A short baseline records each eye's
+// open-eye openness (lid distance / eye width), and live openness is then
+// expressed relative to that baseline, so one set of relative thresholds works
+// across children's eye shapes and camera angles. A blink is a dip below the
+// partial threshold that lasts until the eyes reopen; it is partial when the
+// lids never got below the close threshold.
+
+export const BLINK_BASELINE_DURATION_MS = 3000
+const MIN_BASELINE_FRAMES = 30
+// Frames below this fraction of the median are blinks during the baseline
+const BASELINE_BLINK_RATIO = 0.6
+// Normal-consistent MAD scale
+const MAD_TO_SIGMA = 1.4826
+
+// Fixed raw-openness thresholds, used until a baseline has been recorded
+export const DEFAULT_BLINK_BASELINE = {
+  status: 'default',
+  openLeft: 1,
+  openRight: 1,
+  noise: 0,
+  closeThreshold: 0.18,
+  partialThreshold: 0.21,
+  reopenThreshold: 0.24,
+}
+
+const median = (values) => {
+  const sorted = values.slice().sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+// Open-eye level and relative noise of one eye, ignoring blink frames
+const summarizeEye = (values) => {
+  const rough = median(values)
+  const open = values.filter((value) => value >= rough * BASELINE_BLINK_RATIO)
+  const level = median(open)
+  const mad = median(open.map((value) => Math.abs(value - level)))
+  return { level, noise: level > 0 ? (mad * MAD_TO_SIGMA) / level : 0, frames: open.length }
+}
+
+// frames: [{ left, right }] raw openness recorded while the child looks at a
+// fixation cross. Returns null when there are too few usable frames.
+export const computeBlinkBaseline = (frames) => {
+  const usable = frames.filter((frame) => frame.left > 0 && frame.right > 0)
+  if (usable.length < MIN_BASELINE_FRAMES) {
+    return null
+  }
+  const left = summarizeEye(usable.map((frame) => frame.left))
+  const right = summarizeEye(usable.map((frame) => frame.right))
+  if (left.frames < MIN_BASELINE_FRAMES || right.frames < MIN_BASELINE_FRAMES) {
+    return null
+  }
+
+  // Noisier tracking pushes the dip threshold down so jitter is not a blink
+  const noise = Math.max(left.noise, right.noise)
+  const partialThreshold = clamp(1 - 4 * noise, 0.5, 0.8)
+  return {
+    status: 'complete',
+    openLeft: left.level,
+    openRight: right.level,
+    noise,
+    closeThreshold: partialThreshold * 0.6,
+    partialThreshold,
+    reopenThreshold: Math.min(0.95, partialThreshold + 0.05),
+  }
+}
+
+export const relativeOpenness = (baseline, leftOpenness, rightOpenness) =>
+  (leftOpenness / baseline.openLeft + rightOpenness / baseline.openRight) / 2
+
+export const createBlinkTracker = () => ({
+  phase: 'open',
+  onsetMs: 0,
+  minOpenness: 1,
+  lastOnsetMs: null,
+})
+
+// Advances the tracker by one frame and returns the blink that just ended, if
+// any. phase is 'open', 'closing' (below the partial threshold) or 'closed'.
+export const updateBlinkTracker = (tracker, baseline, openness, timeMs) => {
+  if (tracker.phase === 'open') {
+    if (openness < baseline.partialThreshold) {
+      tracker.phase = openness < baseline.closeThreshold ? 'closed' : 'closing'
+      tracker.onsetMs = timeMs
+      tracker.minOpenness = openness
+    }
+    return null
+  }
+
+  tracker.minOpenness = Math.min(tracker.minOpenness, openness)
+  if (openness < baseline.closeThreshold) {
+    tracker.phase = 'closed'
+  }
+  if (openness <= baseline.reopenThreshold) {
+    return null
+  }
+
+  const blink = {
+    type: 'blink',
+    onsetMs: tracker.onsetMs,
+    offsetMs: timeMs,
+    durationMs: timeMs - tracker.onsetMs,
+    partial: tracker.phase !== 'closed',
+    minOpenness: tracker.minOpenness,
+    // Onset to onset, from the previous blink of either kind
+    interBlinkIntervalMs: tracker.lastOnsetMs === null ? null : tracker.onsetMs - tracker.lastOnsetMs,
+  }
+  tracker.phase = 'open'
+  tracker.lastOnsetMs = tracker.onsetMs
+  return blink
+}
+
+export const summarizeBlinks = (blinks) => {
+  const full = blinks.filter((blink) => !blink.partial)
+  const intervals = blinks
+    .map((blink) => blink.interBlinkIntervalMs)
+    .filter((interval) => interval !== null && interval !== undefined)
+  const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null)
+  return {
+    count: full.length,
+    partialCount: blinks.length - full.length,
+    meanDurationMs: mean(full.map((blink) => blink.durationMs)),
+    meanInterBlinkIntervalMs: mean(intervals),
+  }
+}
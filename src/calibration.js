@@ -0,0 +1,261 @@
+// Gaze-to-screen calibration. Each eye gets a 2D polynomial regression from the
+// measured, head-pose compensated gaze estimate to the normalized target
+// position, so cross-axis coupling and curvature towards the corners can be
+// modelled.
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+export const FRAMES_PER_CAL_POINT = 45
+
+const gridPoint = (x, y, label) => ({ x, y, label })
+
+export const CALIBRATION_GRIDS = {
+  5: [
+    gridPoint(0.5, 0.5, 'center'),
+    gridPoint(0.2, 0.2, 'top-left'),
+    gridPoint(0.8, 0.2, 'top-right'),
+    gridPoint(0.2, 0.8, 'bottom-left'),
+    gridPoint(0.8, 0.8, 'bottom-right'),
+  ],
+  9: [
+    gridPoint(0.5, 0.5, 'center'),
+    gridPoint(0.1, 0.1, 'top-left'),
+    gridPoint(0.5, 0.1, 'top-center'),
+    gridPoint(0.9, 0.1, 'top-right'),
+    gridPoint(0.9, 0.5, 'middle-right'),
+    gridPoint(0.9, 0.9, 'bottom-right'),
+    gridPoint(0.5, 0.9, 'bottom-center'),
+    gridPoint(0.1, 0.9, 'bottom-left'),
+    gridPoint(0.1, 0.5, 'middle-left'),
+  ],
+  13: [
+    gridPoint(0.5, 0.5, 'center'),
+    gridPoint(0.1, 0.1, 'top-left'),
+    gridPoint(0.5, 0.1, 'top-center'),
+    gridPoint(0.9, 0.1, 'top-right'),
+    gridPoint(0.9, 0.5, 'middle-right'),
+    gridPoint(0.9, 0.9, 'bottom-right'),
+    gridPoint(0.5, 0.9, 'bottom-center'),
+    gridPoint(0.1, 0.9, 'bottom-left'),
+    gridPoint(0.1, 0.5, 'middle-left'),
+    gridPoint(0.3, 0.3, 'inner top-left'),
+    gridPoint(0.7, 0.3, 'inner top-right'),
+    gridPoint(0.7, 0.7, 'inner bottom-right'),
+    gridPoint(0.3, 0.7, 'inner bottom-left'),
+  ],
+}
+
+export const DEFAULT_CALIBRATION_GRID = 9
+
+// Sample-level rejection: distance from the per-point median, in MADs
+const SAMPLE_OUTLIER_MADS = 3
+// Floor on the MAD so a perfectly still eye does not reject ordinary noise
+const MIN_SAMPLE_MAD = 0.001
+// A point is unusable once this share of its samples has been rejected
+const MAX_REJECTED_SAMPLE_RATIO = 0.5
+// Point-level rejection: leave-one-out residual relative to the median residual
+const POINT_OUTLIER_RESIDUAL_RATIO = 3
+const MIN_POINT_OUTLIER_RESIDUAL = 0.03
+
+export const defaultCalibrationModel = () => ({ type: 'identity' })
+
+const median = (values) => {
+  if (!values.length) {
+    return 0
+  }
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+// Robust average of the frames collected for one target. Blinks and glances
+// away show up as samples far from the median and are dropped.
+export const summarizeCalibrationSamples = (samples, key) => {
+  const points = samples.map((sample) => sample[key]).filter(Boolean)
+  if (!points.length) {
+    return null
+  }
+  const center = {
+    x: median(points.map((point) => point.x)),
+    y: median(points.map((point) => point.y)),
+  }
+  const distances = points.map((point) => Math.hypot(point.x - center.x, point.y - center.y))
+  const mad = Math.max(MIN_SAMPLE_MAD, median(distances))
+  const kept = points.filter((_, index) => distances[index] <= SAMPLE_OUTLIER_MADS * mad)
+  const rejectedSamples = points.length - kept.length
+
+  return {
+    point: {
+      x: kept.reduce((acc, point) => acc + point.x, 0) / kept.length,
+      y: kept.reduce((acc, point) => acc + point.y, 0) / kept.length,
+    },
+    rejectedSamples,
+    reliable: rejectedSamples / points.length <= MAX_REJECTED_SAMPLE_RATIO,
+  }
+}
+
+const polynomialTerms = (x, y, degree) =>
+  degree === 2 ? [1, x, y, x * y, x * x, y * y] : [1, x, y]
+
+// Gaussian elimination with partial pivoting
+const solveLinearSystem = (matrix, vector) => {
+  const size = vector.length
+  const a = matrix.map((row, index) => [...row, vector[index]])
+  for (let col = 0; col < size; col++) {
+    let pivot = col
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+        pivot = row
+      }
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) {
+      return null
+    }
+    const swap = a[col]
+    a[col] = a[pivot]
+    a[pivot] = swap
+    for (let row = col + 1; row < size; row++) {
+      const factor = a[row][col] / a[col][col]
+      for (let k = col; k <= size; k++) {
+        a[row][k] -= factor * a[col][k]
+      }
+    }
+  }
+  const solution = new Array(size).fill(0)
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = a[row][size]
+    for (let k = row + 1; k < size; k++) {
+      sum -= a[row][k] * solution[k]
+    }
+    solution[row] = sum / a[row][row]
+  }
+  return solution
+}
+
+// Ordinary least squares via the normal equations, with a tiny ridge term so
+// nearly collinear grids still produce a usable fit
+const leastSquares = (rows, targets) => {
+  const size = rows[0].length
+  const normal = Array.from({ length: size }, () => new Array(size).fill(0))
+  const rhs = new Array(size).fill(0)
+  rows.forEach((row, index) => {
+    for (let i = 0; i < size; i++) {
+      rhs[i] += row[i] * targets[index]
+      for (let j = 0; j < size; j++) {
+        normal[i][j] += row[i] * row[j]
+      }
+    }
+  })
+  for (let i = 1; i < size; i++) {
+    normal[i][i] += 1e-6
+  }
+  return solveLinearSystem(normal, rhs)
+}
+
+// Measured positions can span a small range, so they are standardized before
+// building polynomial terms to keep the fit well conditioned
+const computeNormalization = (pairs) => {
+  const count = pairs.length
+  const meanX = pairs.reduce((acc, pair) => acc + pair.measured.x, 0) / count
+  const meanY = pairs.reduce((acc, pair) => acc + pair.measured.y, 0) / count
+  const stdX = Math.sqrt(pairs.reduce((acc, pair) => acc + (pair.measured.x - meanX) ** 2, 0) / count)
+  const stdY = Math.sqrt(pairs.reduce((acc, pair) => acc + (pair.measured.y - meanY) ** 2, 0) / count)
+  return { meanX, meanY, scaleX: stdX || 1, scaleY: stdY || 1 }
+}
+
+const evaluatePolynomial = (model, point) => {
+  const { normalization } = model
+  const terms = polynomialTerms(
+    (point.x - normalization.meanX) / normalization.scaleX,
+    (point.y - normalization.meanY) / normalization.scaleY,
+    model.degree
+  )
+  return {
+    x: terms.reduce((acc, term, index) => acc + term * model.coefficientsX[index], 0),
+    y: terms.reduce((acc, term, index) => acc + term * model.coefficientsY[index], 0),
+  }
+}
+
+const fitPolynomial = (pairs, degree) => {
+  const normalization = computeNormalization(pairs)
+  const rows = pairs.map((pair) =>
+    polynomialTerms(
+      (pair.measured.x - normalization.meanX) / normalization.scaleX,
+      (pair.measured.y - normalization.meanY) / normalization.scaleY,
+      degree
+    )
+  )
+  const coefficientsX = leastSquares(rows, pairs.map((pair) => pair.target.x))
+  const coefficientsY = leastSquares(rows, pairs.map((pair) => pair.target.y))
+  if (!coefficientsX || !coefficientsY) {
+    return null
+  }
+  return { type: 'polynomial', degree, normalization, coefficientsX, coefficientsY }
+}
+
+const residualOf = (model, pair) => {
+  const predicted = evaluatePolynomial(model, pair.measured)
+  return Math.hypot(predicted.x - pair.target.x, predicted.y - pair.target.y)
+}
+
+// Quadratic terms need at least six points; keep a couple spare so a rejected
+// point does not leave the fit exactly determined
+const minimumPointsFor = (degree) => (degree === 2 ? 8 : 4)
+
+// pairs: [{ measured: {x, y}, target: {x, y, label}, reliable }]
+export const fitCalibrationModel = (pairs) => {
+  const rejectedPoints = pairs
+    .filter((pair) => !pair.reliable)
+    .map((pair) => pair.target.label)
+  let active = pairs.filter((pair) => pair.reliable)
+  const degree = active.length >= minimumPointsFor(2) ? 2 : 1
+
+  if (active.length < 3) {
+    return { ...defaultCalibrationModel(), rejectedPoints }
+  }
+
+  let model = fitPolynomial(active, degree)
+  while (model && active.length > minimumPointsFor(degree)) {
+    // A quadratic fit bends towards a bad point, so each point is judged by a
+    // fit that left it out
+    const residuals = active.map((pair, index) => {
+      const holdout = fitPolynomial(active.filter((_, other) => other !== index), degree)
+      return holdout ? residualOf(holdout, pair) : 0
+    })
+    const worstIndex = residuals.indexOf(Math.max(...residuals))
+    const threshold = Math.max(
+      MIN_POINT_OUTLIER_RESIDUAL,
+      POINT_OUTLIER_RESIDUAL_RATIO * median(residuals)
+    )
+    if (residuals[worstIndex] <= threshold) {
+      break
+    }
+    rejectedPoints.push(active[worstIndex].target.label)
+    active = active.filter((_, index) => index !== worstIndex)
+    model = fitPolynomial(active, degree)
+  }
+
+  if (!model) {
+    return { ...defaultCalibrationModel(), rejectedPoints }
+  }
+
+  const residuals = active.map((pair) => residualOf(model, pair))
+  return {
+    ...model,
+    pointCount: active.length,
+    rejectedPoints,
+    residualRms: Math.sqrt(residuals.reduce((acc, value) => acc + value * value, 0) / residuals.length),
+  }
+}
+
+export const applyCalibration = (model, point) => {
+  if (!point || !model || model.type !== 'polynomial') {
+    // Uncalibrated points pass through unchanged
+    return point ?? null
+  }
+  const mapped = evaluatePolynomial(model, point)
+  return {
+    x: clamp(mapped.x, 0, 1),
+    y: clamp(mapped.y, 0, 1),
+  }
+}
@@ -0,0 +1,36 @@
+const formatSeconds = (ms) => (ms === null ? '—' : `${(ms / 1000).toFixed(2)}s`)
+
+export function AoiReport({ metrics }) {
+  return (
+    <div className="aoi-report">
+      <h3>Areas of Interest</h3>
+      {metrics.map((stimulus) => (
+        <table className="validation-table aoi-table" key={stimulus.stimulusId}>
+          <caption>{stimulus.stimulusName}</caption>
+          <thead>
+            <tr>
+              <th>AOI</th>
+              <th>Dwell</th>
+              <th>Dwell %</th>
+              <th>First fixation</th>
+              <th>Fixations</th>
+              <th>Revisits</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stimulus.aois.map((aoi) => (
+              <tr key={aoi.id}>
+                <td>{aoi.label}</td>
+                <td>{formatSeconds(aoi.dwellTimeMs)}</td>
+                <td>{((aoi.dwellTimeMs / stimulus.durationMs) * 100).toFixed(1)}%</td>
+                <td>{formatSeconds(aoi.timeToFirstFixationMs)}</td>
+                <td>{aoi.fixationCount}</td>
+                <td>{aoi.revisits}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+    </div>
+  )
+}
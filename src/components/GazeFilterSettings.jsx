@@ -0,0 +1,56 @@
+import { GAZE_FILTERS } from '../gazeFilters'
+
+const PARAMETER_FIELDS = {
+  oneEuro: [
+    { key: 'minCutoff', label: 'Min cutoff (Hz)', step: '0.1' },
+    { key: 'beta', label: 'Beta', step: '0.1' },
+    { key: 'derivativeCutoff', label: 'Speed cutoff (Hz)', step: '0.1' },
+  ],
+  kalman: [
+    { key: 'processNoise', label: 'Process noise', step: '0.5' },
+    { key: 'measurementNoise', label: 'Measurement noise', step: '0.0001' },
+  ],
+}
+
+export function GazeFilterSettings({ settings, onChange, disabled }) {
+  const updateParameter = (key) => (e) => {
+    const value = parseFloat(e.target.value)
+    if (!Number.isNaN(value) && value > 0) {
+      onChange({ ...settings, [settings.type]: { ...settings[settings.type], [key]: value } })
+    }
+  }
+
+  return (
+    <div className="gaze-filter-settings">
+      <div className="input-group">
+        <label htmlFor="gaze-filter">Gaze smoothing</label>
+        <select
+          id="gaze-filter"
+          value={settings.type}
+          onChange={(e) => onChange({ ...settings, type: e.target.value })}
+          disabled={disabled}
+        >
+          {GAZE_FILTERS.map((filter) => (
+            <option key={filter.id} value={filter.id}>
+              {filter.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {(PARAMETER_FIELDS[settings.type] ?? []).map((field) => (
+        <div className="input-group" key={field.key}>
+          <label htmlFor={`gaze-filter-${field.key}`}>{field.label}</label>
+          <input
+            id={`gaze-filter-${field.key}`}
+            type="number"
+            min="0"
+            step={field.step}
+            value={settings[settings.type][field.key]}
+            onChange={updateParameter(field.key)}
+            disabled={disabled}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
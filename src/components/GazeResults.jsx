@@ -0,0 +1,143 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { buildExportFilename, revokeCsvDownload, triggerCsvDownload } from '../csvExport'
+import {
+  drawHeatmap,
+  drawScanpath,
+  drawStimulusBackground,
+  fixationsOnStimulus,
+  gazePointsOnStimulus,
+  loadStimulusImage,
+  overlaySize,
+} from '../gazeVisualization'
+
+// Used for videos and images whose size is not known
+const FALLBACK_SIZE = { width: 1280, height: 720 }
+
+const OVERLAYS = ['heatmap', 'scanpath']
+
+const downloadCanvas = (canvas, filename) => {
+  canvas.toBlob((blob) => {
+    if (!blob) {
+      return
+    }
+    const download = { url: URL.createObjectURL(blob), filename }
+    triggerCsvDownload(download)
+    // The click has to be handled before the URL goes away
+    setTimeout(() => revokeCsvDownload(download), 0)
+  }, 'image/png')
+}
+
+function OverlayCanvas({ overlay, image, size, points, fixations, filename }) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas) {
+      return
+    }
+    const ctx = canvas.getContext('2d')
+    drawStimulusBackground(ctx, image, size.width, size.height)
+    if (overlay === 'heatmap') {
+      drawHeatmap(ctx, points, size.width, size.height)
+    } else {
+      drawScanpath(ctx, fixations, size.width, size.height)
+    }
+  }, [overlay, image, size, points, fixations])
+
+  return (
+    <figure className="gaze-overlay">
+      <canvas ref={canvasRef} width={size.width} height={size.height} />
+      <figcaption>
+        <span>
+          {overlay === 'heatmap'
+            ? `Heatmap: ${points.length} samples`
+            : `Scanpath: ${fixations.length} fixations`}
+        </span>
+        <button
+          type="button"
+          className="control-btn secondary"
+          onClick={() => downloadCanvas(canvasRef.current, filename)}
+        >
+          Download PNG
+        </button>
+      </figcaption>
+    </figure>
+  )
+}
+
+function StimulusOverlays({ stimulus, samples, fixations, session }) {
+  const [loaded, setLoaded] = useState({ src: null, image: null })
+
+  useEffect(() => {
+    if (stimulus.type !== 'image') {
+      return undefined
+    }
+    let cancelled = false
+    loadStimulusImage(stimulus.src).then((image) => {
+      if (!cancelled) {
+        setLoaded({ src: stimulus.src, image })
+      }
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [stimulus.type, stimulus.src])
+
+  const image = loaded.src === stimulus.src ? loaded.image : null
+  const size = useMemo(() => {
+    const width = image?.naturalWidth || stimulus.width
+    const height = image?.naturalHeight || stimulus.height
+    return overlaySize(width && height ? { width, height } : FALLBACK_SIZE)
+  }, [image, stimulus.width, stimulus.height])
+  const points = useMemo(() => gazePointsOnStimulus(samples, stimulus.id), [samples, stimulus.id])
+  const stimulusFixations = useMemo(
+    () => fixationsOnStimulus(samples, fixations, stimulus.id),
+    [samples, fixations, stimulus.id]
+  )
+
+  return (
+    <div className="gaze-results-stimulus">
+      <h4>{stimulus.name}</h4>
+      {stimulus.type === 'video' && (
+        <p className="assessment-hint">Video stimulus: overlays are drawn without the video frames.</p>
+      )}
+      <div className="gaze-results-overlays">
+        {OVERLAYS.map((overlay) => (
+          <OverlayCanvas
+            key={overlay}
+            overlay={overlay}
+            image={image}
+            size={size}
+            points={points}
+            fixations={stimulusFixations}
+            filename={buildExportFilename(`${overlay}-${stimulus.id}`, session, 'png')}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Where the participant looked on each stimulus of the recording
+export function GazeResults({ schedule, samples, fixations, session }) {
+  const stimuli = schedule.filter((entry) => entry.type !== 'fixation')
+
+  return (
+    <div className="gaze-results">
+      <h3>Gaze on Stimuli</h3>
+      <p className="assessment-hint">
+        Heatmaps show where gaze samples landed; scanpaths number fixations in order, with circle size
+        by duration and lines for the saccades between them.
+      </p>
+      {stimuli.map((stimulus) => (
+        <StimulusOverlays
+          key={stimulus.id}
+          stimulus={stimulus}
+          samples={samples}
+          fixations={fixations}
+          session={session}
+        />
+      ))}
+    </div>
+  )
+}
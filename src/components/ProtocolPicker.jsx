@@ -0,0 +1,78 @@
+import { protocolDurationMs } from '../protocol'
+
+export function ProtocolPicker({
+  options,
+  selection,
+  onSelect,
+  onOpenFile,
+  counterbalanceSlot,
+  onCounterbalanceSlotChange,
+  disabled,
+}) {
+  const { status, source, protocol, error } = selection
+
+  return (
+    <div className="protocol-picker">
+      <div className="input-group">
+        <label htmlFor="protocol-select">Protocol</label>
+        <select
+          id="protocol-select"
+          value={options.some((option) => option.file === source) ? source : ''}
+          onChange={(e) => onSelect(e.target.value)}
+          disabled={disabled}
+        >
+          {!options.some((option) => option.file === source) && <option value="">{source}</option>}
+          {options.map((option) => (
+            <option key={option.file} value={option.file}>
+              {option.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="input-group">
+        <label htmlFor="protocol-file">Open protocol file</label>
+        <input
+          id="protocol-file"
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => {
+            const file = e.target.files?.[0]
+            if (file) {
+              onOpenFile(file)
+            }
+            e.target.value = ''
+          }}
+          disabled={disabled}
+        />
+      </div>
+      {protocol?.order === 'counterbalanced' && (
+        <div className="input-group">
+          <label htmlFor="counterbalance-slot">Counterbalancing slot</label>
+          <input
+            id="counterbalance-slot"
+            type="number"
+            min="1"
+            step="1"
+            value={counterbalanceSlot}
+            onChange={(e) => onCounterbalanceSlotChange(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            disabled={disabled}
+          />
+        </div>
+      )}
+      {status === 'loading' && <p className="assessment-hint">Loading protocol…</p>}
+      {status === 'ready' && protocol && (
+        <p className="assessment-hint">
+          {protocol.name} v{protocol.version}: {protocol.stimuli.length} stimuli, {(protocolDurationMs(protocol) / 1000).toFixed(0)}s,{' '}
+          {protocol.order} order{protocol.fixationCross ? ', fixation crosses between stimuli' : ''}
+        </p>
+      )}
+      {status === 'error' && (
+        <div className="prediction-error">
+          {error.split('\n').map((line) => (
+            <p key={line}>{line}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,111 @@
+import { useState } from 'react'
+import { matchesSessionSearch } from '../sessionStore'
+
+const formatStartedAt = (iso) => (iso ? new Date(iso).toLocaleString() : '—')
+
+export function SessionHistory({
+  history,
+  activeSessionId,
+  onReopen,
+  onExport,
+  onExportBundle,
+  onDelete,
+  disabled,
+}) {
+  const [query, setQuery] = useState('')
+  const { status, sessions, error } = history
+
+  if (status === 'unavailable') {
+    return <p className="assessment-hint">This browser has no IndexedDB, so sessions are not saved.</p>
+  }
+
+  const matches = sessions.filter((session) => matchesSessionSearch(session, query))
+
+  return (
+    <div className="session-history">
+      <div className="input-group">
+        <label htmlFor="session-search">Search sessions</label>
+        <input
+          id="session-search"
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Age, gender, protocol, prediction, date…"
+        />
+      </div>
+      {status === 'loading' && <p className="assessment-hint">Loading saved sessions…</p>}
+      {status === 'error' && (
+        <div className="prediction-error">
+          <p>Could not read the saved sessions: {error}</p>
+        </div>
+      )}
+      {status === 'ready' && !sessions.length && (
+        <p className="assessment-hint">Completed captures are saved here automatically.</p>
+      )}
+      {status === 'ready' && sessions.length > 0 && (
+        <table className="validation-table session-table">
+          <caption>
+            {matches.length} of {sessions.length} sessions
+          </caption>
+          <thead>
+            <tr>
+              <th>Recorded</th>
+              <th>Age</th>
+              <th>Gender</th>
+              <th>Protocol</th>
+              <th>Samples</th>
+              <th>Prediction</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {matches.map((session) => (
+              <tr key={session.id} className={session.id === activeSessionId ? 'session-active' : ''}>
+                <td>{formatStartedAt(session.startedAt)}</td>
+                <td>{session.age}</td>
+                <td>{session.gender}</td>
+                <td>{session.protocolName || '—'}</td>
+                <td>{session.sampleCount}</td>
+                <td>
+                  {session.prediction ? `${session.prediction} (${session.confidence})` : '—'}
+                </td>
+                <td className="session-actions">
+                  <button
+                    type="button"
+                    className="control-btn secondary"
+                    onClick={() => onReopen(session.id)}
+                    disabled={disabled}
+                  >
+                    Reopen
+                  </button>
+                  <button type="button" className="control-btn secondary" onClick={() => onExport(session.id)}>
+                    Export CSVs
+                  </button>
+                  <button
+                    type="button"
+                    className="control-btn secondary"
+                    onClick={() => onExportBundle(session.id)}
+                  >
+                    Export Bundle
+                  </button>
+                  <button
+                    type="button"
+                    className="control-btn secondary"
+                    onClick={() => {
+                      if (window.confirm(`Delete the session recorded ${formatStartedAt(session.startedAt)}?`)) {
+                        onDelete(session.id)
+                      }
+                    }}
+                    disabled={disabled}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,206 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import {
+  buildReplaySegments,
+  findStimulusChanges,
+  REPLAY_SPEEDS,
+  replayDurationMs,
+  resolveReplayStimulus,
+  sampleIndexAt,
+} from '../replay'
+
+const STATE_LABELS = { fixation: 'Fixation', saccade: 'Saccade', blink: 'Blink' }
+
+const formatClock = (ms) => {
+  const seconds = ms / 1000
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`
+}
+
+const percentOf = (ms, durationMs) => `${durationMs > 0 ? (ms / durationMs) * 100 : 0}%`
+
+function GazeCursor({ eye, x, y }) {
+  if (x == null || y == null) {
+    return null
+  }
+  return (
+    <div
+      className={`replay-cursor replay-cursor-${eye}`}
+      style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+      title={eye === 'left' ? 'Left eye' : 'Right eye'}
+    />
+  )
+}
+
+// Plays recorded samples back over the stimuli they were recorded on.
+// stimuli: protocol stimuli or schedule entries, looked up by the samples' stimulusId
+export function SessionReplay({ samples, stimuli, eventOptions }) {
+  const [timeMs, setTimeMs] = useState(0)
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(1)
+  const videoRef = useRef(null)
+
+  const durationMs = replayDurationMs(samples)
+  const segments = useMemo(() => buildReplaySegments(samples, eventOptions), [samples, eventOptions])
+  const stimulusChanges = useMemo(() => findStimulusChanges(samples), [samples])
+
+  const sample = samples[sampleIndexAt(samples, timeMs)]
+  const stimulus = resolveReplayStimulus(sample?.stimulusId, stimuli)
+  const segment = segments.find((entry) => timeMs >= entry.startMs && timeMs <= entry.endMs)
+  // The viewer's shape while recording, so the cursors land where they were
+  const aspectRatio = useMemo(() => {
+    const sized = samples.find((entry) => entry.viewerWidthPx && entry.viewerHeightPx)
+    return sized ? `${sized.viewerWidthPx} / ${sized.viewerHeightPx}` : '16 / 9'
+  }, [samples])
+
+  useEffect(() => {
+    if (!playing) {
+      return undefined
+    }
+    let frame
+    let last = performance.now()
+    const step = (now) => {
+      const elapsed = (now - last) * speed
+      last = now
+      setTimeMs((prev) => Math.min(durationMs, prev + elapsed))
+      frame = requestAnimationFrame(step)
+    }
+    frame = requestAnimationFrame(step)
+    return () => cancelAnimationFrame(frame)
+  }, [playing, speed, durationMs])
+
+  useEffect(() => {
+    if (playing && timeMs >= durationMs) {
+      setPlaying(false)
+    }
+  }, [playing, timeMs, durationMs])
+
+  // Video stimuli follow the replay clock
+  const stimulusSeconds = (sample?.stimulusTimeMs ?? 0) / 1000
+  useEffect(() => {
+    const video = videoRef.current
+    if (!video) {
+      return
+    }
+    if (Math.abs(video.currentTime - stimulusSeconds) > 0.3) {
+      video.currentTime = stimulusSeconds
+    }
+    video.playbackRate = speed
+    if (playing && video.paused) {
+      video.play().catch(() => {})
+    } else if (!playing && !video.paused) {
+      video.pause()
+    }
+  }, [stimulusSeconds, playing, speed, stimulus?.id])
+
+  const togglePlaying = () => {
+    if (!playing && timeMs >= durationMs) {
+      setTimeMs(0)
+    }
+    setPlaying(!playing)
+  }
+
+  const seekFromTimeline = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width))
+    setTimeMs(fraction * durationMs)
+  }
+
+  const showCursors = sample && !sample.blink
+
+  return (
+    <div className="session-replay">
+      <div className="replay-stage" style={{ aspectRatio }}>
+        {stimulus?.type === 'fixation' && <div className="fixation-cross" />}
+        {stimulus?.type === 'image' && (
+          <img src={stimulus.src} alt={stimulus.name} style={{ objectFit: stimulus.fit }} />
+        )}
+        {stimulus?.type === 'video' && (
+          <video
+            key={stimulus.id}
+            ref={videoRef}
+            src={stimulus.src}
+            style={{ objectFit: stimulus.fit }}
+            playsInline
+            muted
+          />
+        )}
+        {!stimulus && sample?.stimulusId && (
+          <p className="replay-missing-stimulus">
+            Stimulus “{sample.stimulusId}” is not in the loaded protocol
+          </p>
+        )}
+        {showCursors && (
+          <>
+            <GazeCursor eye="left" x={sample.viewerLeftX} y={sample.viewerLeftY} />
+            <GazeCursor eye="right" x={sample.viewerRightX} y={sample.viewerRightY} />
+          </>
+        )}
+      </div>
+
+      <div className="replay-timeline" onClick={seekFromTimeline} role="presentation">
+        {segments.map((entry) => (
+          <div
+            key={`${entry.state}-${entry.startMs}`}
+            className={`replay-segment replay-${entry.state}`}
+            style={{
+              left: percentOf(entry.startMs, durationMs),
+              width: percentOf(Math.max(0, entry.endMs - entry.startMs), durationMs),
+            }}
+          />
+        ))}
+        {stimulusChanges.map((change) => (
+          <div
+            key={change.timeMs}
+            className="replay-marker"
+            style={{ left: percentOf(change.timeMs, durationMs) }}
+            title={resolveReplayStimulus(change.stimulusId, stimuli)?.name ?? change.stimulusId ?? ''}
+          />
+        ))}
+        <div className="replay-playhead" style={{ left: percentOf(timeMs, durationMs) }} />
+      </div>
+
+      <div className="replay-controls">
+        <button type="button" className="control-btn primary" onClick={togglePlaying}>
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={durationMs}
+          step="10"
+          value={timeMs}
+          onChange={(e) => setTimeMs(Number(e.target.value))}
+          aria-label="Replay position"
+        />
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} aria-label="Replay speed">
+          {REPLAY_SPEEDS.map((option) => (
+            <option key={option} value={option}>
+              {option}×
+            </option>
+          ))}
+        </select>
+        <span className="replay-clock">
+          {formatClock(timeMs)} / {formatClock(durationMs)}
+        </span>
+      </div>
+
+      <div className="replay-status">
+        <span>{stimulus?.name ?? sample?.stimulusId ?? '—'}</span>
+        <span>{sample?.blink ? 'Blink' : (STATE_LABELS[segment?.state] ?? '—')}</span>
+        {sample?.aoi && <span>AOI: {sample.aoi}</span>}
+        <span className="replay-legend">
+          {Object.entries(STATE_LABELS).map(([state, label]) => (
+            <span key={state}>
+              <i className={`replay-swatch replay-${state}`} /> {label}
+            </span>
+          ))}
+          <span>
+            <i className="replay-swatch replay-cursor-left" /> Left eye
+          </span>
+          <span>
+            <i className="replay-swatch replay-cursor-right" /> Right eye
+          </span>
+        </span>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,41 @@
+// A few of the aggregated features side by side for the whole session and
+// each stimulus; the full set is in the per-stimulus features CSV
+const COMPARED_FEATURES = [
+  { name: 'fixation_rate_1', label: 'Fixations / s', digits: 2 },
+  { name: 'fix_dur_avg_1', label: 'Mean fixation (s)', digits: 3 },
+  { name: 'saccade_rate_1', label: 'Saccades / s', digits: 2 },
+  { name: 'sac_amp_avg_1', label: 'Mean saccade amplitude (px)', digits: 0 },
+  { name: 'blink_rate_1', label: 'Blinks / s', digits: 2 },
+  { name: 'gaze_velo_1', label: 'Mean gaze velocity, right (px/s)', digits: 0 },
+  { name: 'Tracking_F_1', label: 'Tracking (%)', digits: 1 },
+]
+
+export function StimulusComparison({ sessionFeatures, blocks }) {
+  const columns = [{ stimulusId: 'session', stimulusName: 'Session', features: sessionFeatures }, ...blocks]
+
+  return (
+    <div className="stimulus-comparison">
+      <h3>Per-Stimulus Features</h3>
+      <table className="validation-table">
+        <thead>
+          <tr>
+            <th>Feature</th>
+            {columns.map((column) => (
+              <th key={column.stimulusId}>{column.stimulusName}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {COMPARED_FEATURES.map((feature) => (
+            <tr key={feature.name}>
+              <td>{feature.label}</td>
+              {columns.map((column) => (
+                <td key={column.stimulusId}>{column.features[feature.name].toFixed(feature.digits)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -0,0 +1,103 @@
+const formatScore = (score, key) => (score ? `${score[key].toFixed(1)}%` : '—')
+
+export function ValidationReport({ results, summary, thresholds, onThresholdsChange, passed, disabled }) {
+  const updateThreshold = (key) => (e) => {
+    const value = parseFloat(e.target.value)
+    if (!Number.isNaN(value) && value > 0) {
+      onThresholdsChange({ ...thresholds, [key]: value })
+    }
+  }
+
+  return (
+    <div className="validation-report">
+      <table className="validation-table">
+        <thead>
+          <tr>
+            <th>Target</th>
+            <th>Left accuracy</th>
+            <th>Left precision</th>
+            <th>Right accuracy</th>
+            <th>Right precision</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.map((result) => (
+            <tr key={result.target.label}>
+              <td>{result.target.label}</td>
+              <td>{formatScore(result.left, 'accuracy')}</td>
+              <td>{formatScore(result.left, 'precision')}</td>
+              <td>{formatScore(result.right, 'accuracy')}</td>
+              <td>{formatScore(result.right, 'precision')}</td>
+            </tr>
+          ))}
+          <tr className="validation-summary-row">
+            <td>Mean</td>
+            <td>{formatScore(summary.left, 'accuracy')}</td>
+            <td>{formatScore(summary.left, 'precision')}</td>
+            <td>{formatScore(summary.right, 'accuracy')}</td>
+            <td>{formatScore(summary.right, 'precision')}</td>
+          </tr>
+        </tbody>
+      </table>
+      <div className="validation-thresholds">
+        <div className="input-group">
+          <label htmlFor="validation-accuracy">Max accuracy error (%)</label>
+          <input
+            id="validation-accuracy"
+            type="number"
+            min="0.5"
+            step="0.5"
+            value={thresholds.accuracy}
+            onChange={updateThreshold('accuracy')}
+            disabled={disabled}
+          />
+        </div>
+        <div className="input-group">
+          <label htmlFor="validation-precision">Max precision RMS (%)</label>
+          <input
+            id="validation-precision"
+            type="number"
+            min="0.5"
+            step="0.5"
+            value={thresholds.precision}
+            onChange={updateThreshold('precision')}
+            disabled={disabled}
+          />
+        </div>
+      </div>
+      <p className={`calibration-message ${passed ? 'success' : 'validation-failed'}`}>
+        {passed
+          ? 'Validation passed. The capture run can start.'
+          : 'Validation failed. Recalibrate, rerun validation or adjust the thresholds.'}
+      </p>
+    </div>
+  )
+}
+
+// Target crosses with each eye's mean gaze, drawn in viewer percentages
+export function ValidationOverlay({ results }) {
+  return results.map((result) => (
+    <div key={result.target.label}>
+      <div
+        className="validation-marker validation-marker-target"
+        style={{ left: `${result.target.x * 100}%`, top: `${result.target.y * 100}%` }}
+      />
+      {['left', 'right'].map((eye) =>
+        result[eye] ? (
+          <div
+            key={eye}
+            className={`validation-marker validation-marker-${eye}`}
+            style={{
+              left: `${result[eye].meanPoint.x * 100}%`,
+              top: `${result[eye].meanPoint.y * 100}%`,
+            }}
+          >
+            <span>
+              {eye === 'left' ? 'L' : 'R'} {result[eye].accuracy.toFixed(1)}%
+            </span>
+          </div>
+        ) : null
+      )}
+    </div>
+  ))
+}
@@ -0,0 +1,51 @@
+// Coordinate spaces for gaze. Calibration targets are placed in percent of the
+// viewer, so calibrated gaze comes out normalized to the viewer (0-1). From
+// there it is mapped to viewport CSS pixels (where the viewer sits on the
+// page) and to coordinates normalized to the stimulus content actually drawn,
+// which excludes letterbox bars and accounts for the stimulus's object-fit.
+
+export const STIMULUS_FITS = ['contain', 'cover', 'fill']
+
+// rect: { left, top, width, height } of the viewer in viewport pixels
+export const toViewportPoint = (viewerPoint, rect) =>
+  viewerPoint && rect
+    ? { x: rect.left + viewerPoint.x * rect.width, y: rect.top + viewerPoint.y * rect.height }
+    : null
+
+// Where the stimulus content lands inside a box of boxSize, in box pixels
+export const fitContent = (boxSize, contentSize, fit = 'contain') => {
+  if (fit === 'fill' || !contentSize?.width || !contentSize?.height) {
+    return { x: 0, y: 0, width: boxSize.width, height: boxSize.height }
+  }
+  const scaleX = boxSize.width / contentSize.width
+  const scaleY = boxSize.height / contentSize.height
+  const scale = fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY)
+  const width = contentSize.width * scale
+  const height = contentSize.height * scale
+  return { x: (boxSize.width - width) / 2, y: (boxSize.height - height) / 2, width, height }
+}
+
+// Viewer-normalized point to stimulus-normalized; null when it misses the
+// drawn content (letterbox bars, or outside the viewer)
+export const toStimulusPoint = (viewerPoint, viewerSize, contentSize, fit = 'contain') => {
+  if (!viewerPoint || !viewerSize?.width || !viewerSize?.height) {
+    return null
+  }
+  const drawn = fitContent(viewerSize, contentSize, fit)
+  const x = (viewerPoint.x * viewerSize.width - drawn.x) / drawn.width
+  const y = (viewerPoint.y * viewerSize.height - drawn.y) / drawn.height
+  return x >= 0 && x <= 1 && y >= 0 && y <= 1 ? { x, y } : null
+}
+
+// Natural size of a rendered <img> or <video>, once it is known
+export const getMediaSize = (element) => {
+  if (!element) {
+    return null
+  }
+  const width = element.naturalWidth || element.videoWidth
+  const height = element.naturalHeight || element.videoHeight
+  return width && height ? { width, height } : null
+}
+
+export const averagePoints = (a, b) =>
+  a && b ? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } : (a ?? b)
@@ -0,0 +1,231 @@
+import { AGGREGATED_CSV_HEADERS, FEATURE_SCHEMA_VERSION } from './featureSchema.js'
+
+// Per-sample log columns, in the order they are written. pointOfRegard* are
+// the smoothed points in viewport pixels; rawPointOfRegard* are the same points
+// before filtering. viewer* are normalized to the viewer and stimulus* to the
+// drawn stimulus content (empty off the stimulus), see coordinates.js.
+// faceDetected and valid* say which gaze values were measured; missing ones
+// are empty, see missingData.js
+export const SAMPLE_CSV_HEADERS = [
+  'recordingTimeMs',
+  'timestampIso',
+  'stimulusId',
+  'stimulusTimeMs',
+  'categoryRight',
+  'categoryLeft',
+  'pointOfRegardRightX',
+  'pointOfRegardRightY',
+  'pointOfRegardLeftX',
+  'pointOfRegardLeftY',
+  'rawPointOfRegardRightX',
+  'rawPointOfRegardRightY',
+  'rawPointOfRegardLeftX',
+  'rawPointOfRegardLeftY',
+  'viewerRightX',
+  'viewerRightY',
+  'viewerLeftX',
+  'viewerLeftY',
+  'stimulusRightX',
+  'stimulusRightY',
+  'stimulusLeftX',
+  'stimulusLeftY',
+  'viewerWidthPx',
+  'viewerHeightPx',
+  'aoi',
+  'trackingRatio',
+  'faceDetected',
+  'validRight',
+  'validLeft',
+  'blink',
+  'opennessLeft',
+  'opennessRight',
+  'headYawDeg',
+  'headPitchDeg',
+  'headRollDeg',
+  'headXMm',
+  'headYMm',
+  'headDistanceMm',
+]
+
+// Blink log columns; times are relative to the start of the recording
+export const BLINK_CSV_HEADERS = [
+  'onsetMs',
+  'offsetMs',
+  'durationMs',
+  'partial',
+  'minOpenness',
+  'interBlinkIntervalMs',
+]
+
+export const formatCsvCell = (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return ''
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      return ''
+    }
+    if (Number.isInteger(value)) {
+      return value.toString()
+    }
+    return Number(value.toFixed(3)).toString()
+  }
+  const str = String(value).replace(/"/g, '""')
+  return `"${str}"`
+}
+
+export const buildCsv = (headers, rows) =>
+  [
+    headers.join(','),
+    ...rows.map((row) => headers.map((header) => formatCsvCell(row[header])).join(',')),
+  ].join('\n')
+
+export const buildSamplesCsv = (samples) => buildCsv(SAMPLE_CSV_HEADERS, samples)
+
+// Splits CSV text into rows of cells; quoted cells may hold commas, newlines
+// and doubled quotes
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1
+      }
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows.filter((cells) => cells.some((value) => value !== ''))
+}
+
+const SAMPLE_TEXT_COLUMNS = ['timestampIso', 'stimulusId', 'categoryRight', 'categoryLeft', 'aoi']
+const SAMPLE_BOOLEAN_COLUMNS = ['faceDetected', 'validRight', 'validLeft', 'blink']
+
+const parseSampleCell = (header, value) => {
+  if (value === '') {
+    return null
+  }
+  if (SAMPLE_TEXT_COLUMNS.includes(header)) {
+    return value
+  }
+  if (SAMPLE_BOOLEAN_COLUMNS.includes(header)) {
+    return value === 'true'
+  }
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+// Reads a samples CSV written by buildSamplesCsv back into sample objects.
+// Columns missing from older files are left out of the samples.
+export const parseSamplesCsv = (text) => {
+  const [headers, ...rows] = parseCsv(text)
+  const problems = []
+  if (!headers?.includes('recordingTimeMs')) {
+    problems.push('Missing the recordingTimeMs column')
+  }
+  if (!rows.length) {
+    problems.push('No samples')
+  }
+  if (problems.length) {
+    throw new Error(['Invalid samples file:', ...problems].join('\n'))
+  }
+  const known = headers.filter((header) => SAMPLE_CSV_HEADERS.includes(header))
+  return rows.map((cells) =>
+    Object.fromEntries(
+      known.map((header) => [header, parseSampleCell(header, cells[headers.indexOf(header)] ?? '')])
+    )
+  )
+}
+
+export const buildBlinksCsv = (blinks) => buildCsv(BLINK_CSV_HEADERS, blinks)
+
+// extraColumns (e.g. AOI metrics) are appended after the schema columns
+export const buildAggregatedCsv = (features, extraColumns = {}) =>
+  buildCsv([...AGGREGATED_CSV_HEADERS, ...Object.keys(extraColumns)], [{ ...features, ...extraColumns }])
+
+// One row for the whole session and one per stimulus, with the schema columns
+export const STIMULUS_BLOCK_HEADERS = ['stimulusId', 'stimulusName', 'stimulusOnsetMs', 'stimulusOffsetMs']
+
+export const buildStimulusFeaturesCsv = (sessionFeatures, blocks) =>
+  buildCsv(
+    [...STIMULUS_BLOCK_HEADERS, ...AGGREGATED_CSV_HEADERS],
+    [
+      { stimulusId: 'session', stimulusName: 'Whole session', ...sessionFeatures },
+      ...blocks.map(({ features, ...stimulus }) => ({ ...stimulus, ...features })),
+    ]
+  )
+
+const sanitizeFilenamePart = (value) =>
+  String(value).trim().replace(/[^a-zA-Z0-9.-]+/g, '-') || 'unknown'
+
+// e.g. neurogaze-samples_age-5.5_gender-M_schema-1.0.0_2025-01-01T10-00-00-000Z.csv
+export const buildExportFilename = (kind, session, extension) =>
+  [
+    `neurogaze-${sanitizeFilenamePart(kind)}`,
+    `age-${sanitizeFilenamePart(session.age)}`,
+    `gender-${sanitizeFilenamePart(session.gender)}`,
+    `schema-${FEATURE_SCHEMA_VERSION}`,
+    session.startedAt.replace(/[:.]/g, '-'),
+  ].join('_') + `.${extension}`
+
+export const buildCsvFilename = (kind, session) => buildExportFilename(kind, session, 'csv')
+
+// Reads kind, age, gender and schema version back out of a name written by
+// buildExportFilename; null for names in any other format
+export const parseExportFilename = (filename) => {
+  const match = /^neurogaze-(.+)_age-(.+)_gender-(.+)_schema-(.+)_([^_]+)\.[a-z]+$/.exec(filename)
+  if (!match) {
+    return null
+  }
+  const [, kind, age, gender, schemaVersion, startedAt] = match
+  return { kind, age, gender, schemaVersion, startedAt }
+}
+
+export const createCsvDownload = (csv, filename) => ({
+  url: URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' })),
+  filename,
+})
+
+export const triggerCsvDownload = (download) => {
+  if (typeof window === 'undefined' || !download?.url) {
+    return
+  }
+  const link = document.createElement('a')
+  link.href = download.url
+  link.download = download.filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+}
+
+export const revokeCsvDownload = (download) => {
+  if (download?.url) {
+    URL.revokeObjectURL(download.url)
+  }
+}
@@ -0,0 +1,197 @@
+// Versioned event stream for pages that embed Neurogaze, and a postMessage
+// bridge for hosts that load it in an iframe.
+//
+// Every event is an envelope
+//
+//   { protocol: 'neurogaze', version: 1, type, timestamp, data }
+//
+// dispatched on window as a CustomEvent named `neurogaze:<type>` with the
+// envelope as detail. Times inside data are ms since the recording started
+// while an assessment runs. Types and their data:
+//
+//   tracking-data         live metrics per video frame: recordingTimeMs, categoryLeft/Right,
+//                         pointOfRegardLeft/RightX/Y (null without gaze),
+//                         trackingRatio, head pose
+//   calibration-complete  { leftModel, rightModel, rejectedPoints }
+//   validation-complete   { results, summary, passed }
+//   blink                 { onsetMs, offsetMs, durationMs, partial, minOpenness,
+//                         interBlinkIntervalMs }
+//   fixation-start        { onsetMs, x, y }
+//   fixation-end          { onsetMs, offsetMs, durationMs, x, y }
+//   saccade               { onsetMs, offsetMs, durationMs, startX, startY, endX,
+//                         endY, amplitude, peakVelocity }
+//   stimulus-change       { index, stimulusId, type, name, onsetMs }
+//   assessment-started    { startedAt, protocol, stimulusCount, durationMs, participant }
+//   assessment-completed  { sessionId, startedAt, sampleCount, blinkCount, features }
+//   assessment-cancelled  { startedAt, reason }
+//   prediction-ready      { sessionId, backend, result, error }
+//   quality-warning       { code, message, value } (see trackingQuality.js)
+//
+// Positions are points of regard in viewport CSS pixels. The legacy events
+// eye-tracking-data and eye-calibration-complete are still fired, with data as
+// detail, for listeners written before the stream existed.
+//
+// Bridge messages carry the same protocol and version fields. From the host:
+//
+//   { kind: 'subscribe', events }    events: list of types, all when omitted
+//   { kind: 'unsubscribe' }
+//   { kind: 'command', id, command, args }
+//
+// To the host: { kind: 'hello', events, commands } once the bridge is up,
+// { kind: 'event', ...envelope } for subscribed events, and
+// { kind: 'response', id, ok, result, error } for each command. Events are
+// only posted to the origin that subscribed.
+
+export const EVENT_PROTOCOL = 'neurogaze'
+export const EVENT_PROTOCOL_VERSION = 1
+
+export const EVENT_TYPES = [
+  'tracking-data',
+  'calibration-complete',
+  'validation-complete',
+  'blink',
+  'fixation-start',
+  'fixation-end',
+  'saccade',
+  'stimulus-change',
+  'assessment-started',
+  'assessment-completed',
+  'assessment-cancelled',
+  'prediction-ready',
+  'quality-warning',
+]
+
+// Commands a host can send; args in brackets are optional
+//   start-calibration    [gridSize]
+//   reset-calibration
+//   start-validation
+//   record-blink-baseline
+//   set-participant      age, gender
+//   start-assessment     [age, gender]  refused whenever the Start button is disabled
+//   cancel-assessment
+//   get-status
+export const BRIDGE_COMMANDS = [
+  'start-calibration',
+  'reset-calibration',
+  'start-validation',
+  'record-blink-baseline',
+  'set-participant',
+  'start-assessment',
+  'cancel-assessment',
+  'get-status',
+]
+
+const LEGACY_EVENT_NAMES = {
+  'tracking-data': 'eye-tracking-data',
+  'calibration-complete': 'eye-calibration-complete',
+}
+
+export const buildEvent = (type, data) => ({
+  protocol: EVENT_PROTOCOL,
+  version: EVENT_PROTOCOL_VERSION,
+  type,
+  timestamp: new Date().toISOString(),
+  data,
+})
+
+export const createEventStream = () => {
+  const listeners = new Set()
+  return {
+    emit(type, data) {
+      if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown event type: ${type}`)
+      }
+      const event = buildEvent(type, data)
+      window.dispatchEvent(new CustomEvent(`${EVENT_PROTOCOL}:${type}`, { detail: event }))
+      if (LEGACY_EVENT_NAMES[type]) {
+        window.dispatchEvent(new CustomEvent(LEGACY_EVENT_NAMES[type], { detail: data }))
+      }
+      listeners.forEach((listener) => listener(event))
+    },
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+}
+
+// Origins allowed to drive the bridge, from VITE_EMBED_ORIGINS
+// (comma-separated; '*' allows any origin, for development only)
+export const parseAllowedOrigins = (value) =>
+  (value ?? '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean)
+
+const isAllowedOrigin = (origin, allowedOrigins) =>
+  allowedOrigins.includes('*') || allowedOrigins.includes(origin)
+
+// Connects the stream to the parent window. handleCommand(command, args)
+// returns the result (or a promise of it) and throws to report a failure.
+// Returns a function that disconnects the bridge.
+export const connectPostMessageBridge = ({ stream, handleCommand, allowedOrigins, host = window.parent }) => {
+  if (!host || host === window || !allowedOrigins.length) {
+    return () => {}
+  }
+
+  const post = (message, targetOrigin) =>
+    host.postMessage({ protocol: EVENT_PROTOCOL, version: EVENT_PROTOCOL_VERSION, ...message }, targetOrigin)
+
+  let subscription = null
+  const stopStreaming = () => {
+    subscription?.unsubscribe()
+    subscription = null
+  }
+
+  const respond = (id, origin, outcome) => post({ kind: 'response', id, ...outcome }, origin)
+
+  const onMessage = async (e) => {
+    const message = e.data
+    if (e.source !== host || message?.protocol !== EVENT_PROTOCOL || !isAllowedOrigin(e.origin, allowedOrigins)) {
+      return
+    }
+    if (message.version > EVENT_PROTOCOL_VERSION) {
+      respond(message.id ?? null, e.origin, {
+        ok: false,
+        error: `Protocol version ${message.version} is newer than this app supports (${EVENT_PROTOCOL_VERSION})`,
+      })
+      return
+    }
+
+    if (message.kind === 'subscribe') {
+      stopStreaming()
+      const types = Array.isArray(message.events) ? message.events : EVENT_TYPES
+      const origin = e.origin
+      subscription = {
+        unsubscribe: stream.subscribe((event) => {
+          if (types.includes(event.type)) {
+            post({ kind: 'event', ...event }, origin)
+          }
+        }),
+      }
+    } else if (message.kind === 'unsubscribe') {
+      stopStreaming()
+    } else if (message.kind === 'command') {
+      if (!BRIDGE_COMMANDS.includes(message.command)) {
+        respond(message.id, e.origin, { ok: false, error: `Unknown command: ${message.command}` })
+        return
+      }
+      try {
+        const result = await handleCommand(message.command, message.args ?? {})
+        respond(message.id, e.origin, { ok: true, result: result ?? null })
+      } catch (err) {
+        respond(message.id, e.origin, { ok: false, error: err.message })
+      }
+    }
+  }
+
+  window.addEventListener('message', onMessage)
+  allowedOrigins.forEach((origin) => {
+    post({ kind: 'hello', events: EVENT_TYPES, commands: BRIDGE_COMMANDS }, origin)
+  })
+
+  return () => {
+    window.removeEventListener('message', onMessage)
+    stopStreaming()
+  }
+}
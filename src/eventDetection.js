@@ -0,0 +1,280 @@
+// Eye-movement event detection on recorded samples. Fixations and saccades are
+// detected on the binocular gaze signal with either a velocity threshold (I-VT)
+// or a dispersion threshold (I-DT); blinks are runs of samples flagged as closed.
+// Positions are in the sample's gaze coordinates (pixels), times in ms.
+
+export const EVENT_DETECTION_ALGORITHMS = [
+  { id: 'ivt', label: 'I-VT (velocity threshold)' },
+  { id: 'idt', label: 'I-DT (dispersion threshold)' },
+]
+
+export const DEFAULT_EVENT_DETECTION = {
+  algorithm: 'ivt',
+  // px/s; samples faster than this are saccadic (I-VT)
+  velocityThreshold: 300,
+  // px; max (x range + y range) inside a fixation window (I-DT)
+  dispersionThreshold: 40,
+  // ms; shorter fixations are discarded
+  minFixationDurationMs: 100,
+}
+
+// Live, single-sample label used for the on-screen eye state
+export const classifySample = (velocity, isBlink, velocityThreshold) => {
+  if (isBlink) {
+    return 'Blink'
+  }
+  if (velocity < velocityThreshold) {
+    return 'Fixation'
+  }
+  return 'Saccade'
+}
+
+export const isBlinkSample = (sample) => !!sample.blink
+
+// Binocular average of the eyes that have a position
+const gazeOf = (sample) => {
+  const eyes = [
+    [sample.pointOfRegardLeftX, sample.pointOfRegardLeftY],
+    [sample.pointOfRegardRightX, sample.pointOfRegardRightY],
+  ].filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y))
+  if (!eyes.length) {
+    return null
+  }
+  return {
+    x: eyes.reduce((acc, [x]) => acc + x, 0) / eyes.length,
+    y: eyes.reduce((acc, [, y]) => acc + y, 0) / eyes.length,
+  }
+}
+
+// Splits the recording into runs of usable gaze, broken by blinks
+const buildTrack = (samples) => {
+  const runs = []
+  let current = []
+  samples.forEach((sample, index) => {
+    const point = isBlinkSample(sample) ? null : gazeOf(sample)
+    if (!point) {
+      if (current.length) {
+        runs.push(current)
+      }
+      current = []
+      return
+    }
+    current.push({ index, time: sample.recordingTimeMs, ...point })
+  })
+  if (current.length) {
+    runs.push(current)
+  }
+  return runs
+}
+
+const velocityBetween = (a, b) => {
+  const dt = (b.time - a.time) / 1000
+  return dt > 0 ? Math.hypot(b.x - a.x, b.y - a.y) / dt : 0
+}
+
+const fixationSpan = (points) => ({
+  onsetMs: points[0].time,
+  offsetMs: points[points.length - 1].time,
+  durationMs: points[points.length - 1].time - points[0].time,
+  x: points.reduce((acc, point) => acc + point.x, 0) / points.length,
+  y: points.reduce((acc, point) => acc + point.y, 0) / points.length,
+})
+
+const makeFixation = (points) => ({
+  type: 'fixation',
+  startIndex: points[0].index,
+  endIndex: points[points.length - 1].index,
+  ...fixationSpan(points),
+})
+
+const saccadeSpan = (from, to, path) => ({
+  onsetMs: from.time,
+  offsetMs: to.time,
+  durationMs: to.time - from.time,
+  startX: from.x,
+  startY: from.y,
+  endX: to.x,
+  endY: to.y,
+  amplitude: Math.hypot(to.x - from.x, to.y - from.y),
+  peakVelocity: Math.max(
+    0,
+    ...path.slice(1).map((point, index) => velocityBetween(path[index], point))
+  ),
+})
+
+// from/to are the last sample before and the first sample after the movement
+const makeSaccade = (from, to, path) => ({
+  type: 'saccade',
+  startIndex: from.index,
+  endIndex: to.index,
+  ...saccadeSpan(from, to, path),
+})
+
+const detectIvt = (run, options) => {
+  const fixations = []
+  const saccades = []
+  const labels = run.map((point, index) =>
+    index > 0 && velocityBetween(run[index - 1], point) >= options.velocityThreshold
+      ? 'saccade'
+      : 'fixation'
+  )
+
+  let start = 0
+  while (start < run.length) {
+    let end = start
+    while (end + 1 < run.length && labels[end + 1] === labels[start]) {
+      end += 1
+    }
+    if (labels[start] === 'fixation') {
+      const fixation = makeFixation(run.slice(start, end + 1))
+      if (fixation.durationMs >= options.minFixationDurationMs) {
+        fixations.push(fixation)
+      }
+    } else if (start > 0) {
+      // Saccadic samples are measured from the last fixation sample before them
+      const path = run.slice(start - 1, end + 1)
+      saccades.push(makeSaccade(path[0], path[path.length - 1], path))
+    }
+    start = end + 1
+  }
+  return { fixations, saccades }
+}
+
+const dispersionOf = (points) => {
+  const xs = points.map((point) => point.x)
+  const ys = points.map((point) => point.y)
+  return Math.max(...xs) - Math.min(...xs) + (Math.max(...ys) - Math.min(...ys))
+}
+
+// Salvucci & Goldberg (2000) dispersion-threshold identification
+const detectIdt = (run, options) => {
+  const windows = []
+  let start = 0
+  while (start < run.length) {
+    let end = start
+    while (end + 1 < run.length && run[end].time - run[start].time < options.minFixationDurationMs) {
+      end += 1
+    }
+    if (run[end].time - run[start].time < options.minFixationDurationMs) {
+      break
+    }
+    if (dispersionOf(run.slice(start, end + 1)) > options.dispersionThreshold) {
+      start += 1
+      continue
+    }
+    while (end + 1 < run.length && dispersionOf(run.slice(start, end + 2)) <= options.dispersionThreshold) {
+      end += 1
+    }
+    windows.push({ start, end })
+    start = end + 1
+  }
+
+  // Saccades are the movements between consecutive fixations of the run
+  const saccades = windows.slice(1).map((span, index) => {
+    const path = run.slice(windows[index].end, span.start + 1)
+    return makeSaccade(path[0], path[path.length - 1], path)
+  })
+  return {
+    fixations: windows.map((span) => makeFixation(run.slice(span.start, span.end + 1))),
+    saccades,
+  }
+}
+
+const detectBlinks = (samples) => {
+  const blinks = []
+  let startIndex = null
+  samples.forEach((sample, index) => {
+    if (isBlinkSample(sample)) {
+      if (startIndex === null) {
+        startIndex = index
+      }
+    } else if (startIndex !== null) {
+      blinks.push({ startIndex, endIndex: index - 1 })
+      startIndex = null
+    }
+  })
+  if (startIndex !== null) {
+    blinks.push({ startIndex, endIndex: samples.length - 1 })
+  }
+  // A blink lasts until the first sample with the eyes open again
+  return blinks.map(({ startIndex: start, endIndex: end }) => {
+    const onsetMs = samples[start].recordingTimeMs
+    const offsetMs = (samples[end + 1] ?? samples[end]).recordingTimeMs
+    return {
+      type: 'blink',
+      startIndex: start,
+      endIndex: end,
+      onsetMs,
+      offsetMs,
+      durationMs: offsetMs - onsetMs,
+    }
+  })
+}
+
+export const detectEvents = (samples, options = DEFAULT_EVENT_DETECTION) => {
+  const settings = { ...DEFAULT_EVENT_DETECTION, ...options }
+  const detect = settings.algorithm === 'idt' ? detectIdt : detectIvt
+  const fixations = []
+  const saccades = []
+  buildTrack(samples).forEach((run) => {
+    const result = detect(run, settings)
+    fixations.push(...result.fixations)
+    saccades.push(...result.saccades)
+  })
+  return {
+    algorithm: settings.algorithm,
+    fixations,
+    saccades,
+    blinks: detectBlinks(samples),
+  }
+}
+
+// Online I-VT for live notifications while tracking, fed one binocular gaze
+// point per sample (null during a blink or without a face). A fixation is
+// announced once it has lasted minFixationDurationMs and reported again when
+// it ends; a saccade is reported once the gaze slows down again. Recordings
+// are still segmented afterwards by detectEvents.
+export const createLiveEventTracker = () => ({ state: null, run: [], fixationStarted: false })
+
+export const updateLiveEvents = (tracker, point, timeMs, options = DEFAULT_EVENT_DETECTION) => {
+  const events = []
+  const { run } = tracker
+  const endRun = () => {
+    if (tracker.state === 'fixation' && tracker.fixationStarted) {
+      events.push({ type: 'fixation-end', ...fixationSpan(run) })
+    } else if (tracker.state === 'saccade') {
+      events.push({ type: 'saccade', ...saccadeSpan(run[0], run[run.length - 1], run) })
+    }
+  }
+
+  if (!point) {
+    endRun()
+    Object.assign(tracker, createLiveEventTracker())
+    return events
+  }
+
+  const current = { time: timeMs, ...point }
+  const previous = run[run.length - 1]
+  const state =
+    previous && velocityBetween(previous, current) >= options.velocityThreshold ? 'saccade' : 'fixation'
+  if (state !== tracker.state) {
+    endRun()
+    // A saccade's path starts at the sample before it
+    tracker.run = state === 'saccade' ? [previous, current] : [current]
+    tracker.state = state
+    tracker.fixationStarted = false
+  } else {
+    run.push(current)
+  }
+
+  if (
+    tracker.state === 'fixation' &&
+    !tracker.fixationStarted &&
+    timeMs - tracker.run[0].time >= options.minFixationDurationMs
+  ) {
+    tracker.fixationStarted = true
+    const { onsetMs, x, y } = fixationSpan(tracker.run)
+    events.push({ type: 'fixation-start', onsetMs, x, y })
+  }
+  return events
+}
@@ -0,0 +1,314 @@
+// The feature pipeline: raw samples in, aggregated feature rows out. Shared by
+// the app and the offline extraction command (scripts/extract-features.js),
+// so it must not touch the DOM. Modules loaded by that command import each
+// other with explicit .js extensions, which Node needs to resolve them.
+
+import { computeAoiMetrics, labelInterpolatedAois } from './aoi.js'
+import { DEFAULT_EVENT_DETECTION, detectEvents } from './eventDetection.js'
+import { buildFeatureRow, FEATURE_SCHEMA } from './featureSchema.js'
+import { DEFAULT_GAP_FILL, fillGazeGaps, summarizeDataLoss } from './missingData.js'
+
+// Helper function to compute statistics
+export const computeStats = (values) => {
+  if (!values || values.length === 0) {
+    return { mean: 0, std: 0, min: 0, max: 0, q1: 0, q3: 0, median: 0 }
+  }
+  const validValues = values.filter(v => v != null && !Number.isNaN(v) && Number.isFinite(v))
+  if (validValues.length === 0) {
+    return { mean: 0, std: 0, min: 0, max: 0, q1: 0, q3: 0, median: 0 }
+  }
+  const sorted = [...validValues].sort((a, b) => a - b)
+  const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length
+  const variance = sorted.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / sorted.length
+  const std = Math.sqrt(variance)
+  const min = sorted[0]
+  const max = sorted[sorted.length - 1]
+  const q1 = sorted[Math.floor(sorted.length * 0.25)]
+  const q3 = sorted[Math.floor(sorted.length * 0.75)]
+  const median = sorted[Math.floor(sorted.length * 0.5)]
+  return { mean, std, min, max, q1, q3, median }
+}
+
+// Feature engineering function to match training data format
+// blinkEvents are the blinks recorded live against the participant's baseline;
+// without them blinks are derived from the per-sample blink flag. Samples
+// should have had their gaps filled (see missingData.js); gaze statistics and
+// velocities skip samples without gaze
+export const computeAggregatedFeatures = (
+  samples,
+  age,
+  gender,
+  eventOptions = DEFAULT_EVENT_DETECTION,
+  blinkEvents = null
+) => {
+  if (!samples || samples.length === 0) {
+    return null
+  }
+
+  // Extract arrays for each metric
+  const trackingRatios = samples.map(s => s.trackingRatio).filter(v => v != null)
+  // REMOVED: Pupil diameter extraction (MediaPipe cannot directly measure pupil diameter)
+  const porRightX = samples.map(s => s.pointOfRegardRightX).filter(v => v != null)
+  const porRightY = samples.map(s => s.pointOfRegardRightY).filter(v => v != null)
+  const porLeftX = samples.map(s => s.pointOfRegardLeftX).filter(v => v != null)
+  const recordingTimes = samples.map(s => s.recordingTimeMs).filter(v => v != null)
+
+  // Compute gaze velocities and movements
+  const gazeVelocitiesRight = []
+  const gazeVelocitiesLeft = []
+  const gazeHorizontalRight = []
+  const gazeVerticalRight = []
+  const gazeHorizontalLeft = []
+  const gazeVerticalLeft = []
+
+  // Velocities only between consecutive samples that both have the eye's gaze
+  const hasPoint = (sample, eye) =>
+    Number.isFinite(sample[`pointOfRegard${eye}X`]) && Number.isFinite(sample[`pointOfRegard${eye}Y`])
+
+  for (let i = 1; i < samples.length; i++) {
+    const prev = samples[i - 1]
+    const curr = samples[i]
+    const dt = (curr.recordingTimeMs - prev.recordingTimeMs) / 1000
+
+    if (dt > 0) {
+      // Right eye velocity
+      if (hasPoint(prev, 'Right') && hasPoint(curr, 'Right')) {
+        const dxRight = curr.pointOfRegardRightX - prev.pointOfRegardRightX
+        const dyRight = curr.pointOfRegardRightY - prev.pointOfRegardRightY
+        const velocityRight = Math.hypot(dxRight, dyRight) / dt
+        gazeVelocitiesRight.push(velocityRight)
+        gazeHorizontalRight.push(dxRight / dt)
+        gazeVerticalRight.push(dyRight / dt)
+      }
+
+      // Left eye velocity
+      if (hasPoint(prev, 'Left') && hasPoint(curr, 'Left')) {
+        const dxLeft = curr.pointOfRegardLeftX - prev.pointOfRegardLeftX
+        const dyLeft = curr.pointOfRegardLeftY - prev.pointOfRegardLeftY
+        const velocityLeft = Math.hypot(dxLeft, dyLeft) / dt
+        gazeVelocitiesLeft.push(velocityLeft)
+        gazeHorizontalLeft.push(dxLeft / dt)
+        gazeVerticalLeft.push(dyLeft / dt)
+      }
+    }
+  }
+
+  // Fixations, saccades and blinks come from event detection, not sample labels
+  const events = detectEvents(samples, eventOptions)
+  const { fixations, saccades } = events
+  // Partial blinks are kept in the blink log but not counted as blinks
+  const blinks = blinkEvents ? blinkEvents.filter((blink) => !blink.partial) : events.blinks
+
+  // Count events by the segment their onset falls in (split into 4 segments)
+  const segmentSize = Math.ceil(samples.length / 4)
+  const countBySegment = (events) => {
+    const counts = [0, 0, 0, 0]
+    events.forEach((event) => {
+      counts[Math.min(3, Math.floor(event.startIndex / segmentSize))]++
+    })
+    return counts
+  }
+  const blinkCounts = countBySegment(blinks)
+  const fixCounts = countBySegment(fixations)
+  const sacCounts = countBySegment(saccades)
+
+  // Compute statistics
+  const trackingStats = computeStats(trackingRatios)
+  // REMOVED: Pupil diameter stats (MediaPipe cannot directly measure pupil diameter)
+  const porRightXStats = computeStats(porRightX)
+  const porRightYStats = computeStats(porRightY)
+  const porLeftXStats = computeStats(porLeftX)
+  const recordingTimeStats = {
+    count: recordingTimes.length,
+    min: recordingTimes.length > 0 ? Math.min(...recordingTimes) : 0,
+    max: recordingTimes.length > 0 ? Math.max(...recordingTimes) : 0,
+  }
+
+  const gazeHorizontalRightStats = computeStats(gazeHorizontalRight)
+  const gazeVerticalRightStats = computeStats(gazeVerticalRight)
+  const gazeVelocityRightStats = computeStats(gazeVelocitiesRight)
+  const gazeHorizontalLeftStats = computeStats(gazeHorizontalLeft)
+  const gazeVerticalLeftStats = computeStats(gazeVerticalLeft)
+  const gazeVelocityLeftStats = computeStats(gazeVelocitiesLeft)
+
+  // Trial duration
+  const trialDurationMs = recordingTimeStats.max - recordingTimeStats.min
+  const trialDurationSec = trialDurationMs > 0 ? trialDurationMs / 1000 : 1
+  const samplingRate = trialDurationSec > 0 ? samples.length / trialDurationSec : 0
+
+  // Rates per second
+  const blinkRate = trialDurationSec > 0 ? blinks.length / trialDurationSec : 0
+  const fixationRate = trialDurationSec > 0 ? fixations.length / trialDurationSec : 0
+  const saccadeRate = trialDurationSec > 0 ? saccades.length / trialDurationSec : 0
+
+  // Average fixation duration (s), saccade amplitude (px), saccade peak velocity (px/s)
+  const averageOf = (events, key) =>
+    events.length > 0 ? events.reduce((acc, event) => acc + event[key], 0) / events.length : 0
+  const fixDurAvg = averageOf(fixations, 'durationMs') / 1000
+  const sacAmpAvg = averageOf(saccades, 'amplitude')
+  const sacPeakVelAvg = averageOf(saccades, 'peakVelocity')
+
+  // Eye coordinates (mean, std, range)
+  const rightEyeC = {
+    mean: porRightXStats.mean,
+    std: porRightXStats.std,
+    range: porRightXStats.max - porRightXStats.min,
+  }
+  const leftEyeC = {
+    mean: porLeftXStats.mean,
+    std: porLeftXStats.std,
+    range: porLeftXStats.max - porLeftXStats.min,
+  }
+
+  // Gender encoding (M=1, F=0, based on typical encoding)
+  const genderEncoded = gender === 'M' ? 1 : (gender === 'F' ? 0 : 0.5)
+
+  // Ordered and checked against the feature schema manifest
+  return buildFeatureRow({
+    'Tracking_F_1': trackingStats.mean,
+    'Tracking_F_2': trackingStats.std,
+    'Tracking_F_3': trackingStats.min,
+    'Tracking_F_4': trackingStats.max,
+    // REMOVED: Pupil_Diam_1-12 (MediaPipe cannot directly measure pupil diameter)
+    'GazePoint_of_I_1': porRightXStats.mean,
+    'GazePoint_of_I_2': porRightXStats.std,
+    'GazePoint_of_I_3': porRightXStats.min,
+    'GazePoint_of_I_4': porRightXStats.max,
+    'GazePoint_of_I_5': porRightYStats.mean,
+    'GazePoint_of_I_6': porRightYStats.std,
+    'GazePoint_of_I_7': porRightYStats.min,
+    'GazePoint_of_I_8': porRightYStats.max,
+    'GazePoint_of_I_9': porLeftXStats.mean,
+    'GazePoint_of_I_10': porLeftXStats.std,
+    'GazePoint_of_I_11': porLeftXStats.min,
+    'GazePoint_of_I_12': porLeftXStats.max,
+    'Recording_1': recordingTimeStats.count,
+    'Recording_2': recordingTimeStats.min,
+    'Recording_3': recordingTimeStats.max,
+    'gaze_hori_1': gazeHorizontalRightStats.mean,
+    'gaze_hori_2': gazeHorizontalRightStats.std,
+    'gaze_hori_3': gazeHorizontalLeftStats.mean,
+    'gaze_hori_4': gazeHorizontalLeftStats.std,
+    'gaze_vert_1': gazeVerticalRightStats.mean,
+    'gaze_vert_2': gazeVerticalRightStats.std,
+    'gaze_vert_3': gazeVerticalLeftStats.mean,
+    'gaze_vert_4': gazeVerticalLeftStats.std,
+    'gaze_velo_1': gazeVelocityRightStats.mean,
+    'gaze_velo_2': gazeVelocityRightStats.max,
+    'gaze_velo_3': gazeVelocityLeftStats.mean,
+    'gaze_velo_4': gazeVelocityLeftStats.max,
+    'blink_count_1': blinkCounts[0],
+    'blink_count_2': blinkCounts[1],
+    'blink_count_3': blinkCounts[2],
+    'blink_count_4': blinkCounts[3],
+    'fix_count_1': fixCounts[0],
+    'fix_count_2': fixCounts[1],
+    'fix_count_3': fixCounts[2],
+    'fix_count_4': fixCounts[3],
+    'sac_count_1': sacCounts[0],
+    'sac_count_2': sacCounts[1],
+    'sac_count_3': sacCounts[2],
+    'sac_count_4': sacCounts[3],
+    'Source_File': 'web-app',
+    'level_2': 'GazePoint_of_I',
+    'trial_dur_1': trialDurationMs,
+    'trial_dur_2': trialDurationSec,
+    'sampling_rate_1': samplingRate,
+    'blink_rate_1': blinkRate,
+    'fixation_rate_1': fixationRate,
+    'saccade_rate_1': saccadeRate,
+    'fix_dur_avg_1': fixDurAvg,
+    'sac_amp_avg_1': sacAmpAvg,
+    'sac_peak_vel_avg_1': sacPeakVelAvg,
+    'right_eye_c_1': rightEyeC.mean,
+    'right_eye_c_2': rightEyeC.std,
+    'right_eye_c_3': rightEyeC.range,
+    'left_eye_c_1': leftEyeC.mean,
+    'left_eye_c_2': leftEyeC.std,
+    'left_eye_c_3': leftEyeC.range,
+    'Participant': 0, // Placeholder - not used in model
+    'Gender': gender || 'Unknown',
+    'Age': parseFloat(age) || 0,
+    'Gender_encoded': genderEncoded,
+    'Class': 'Unknown', // Will be predicted by model
+    'CARS_Score_is_ASD': 0, // Placeholder - not used in model
+  })
+}
+
+// The same feature families over each stimulus's own samples, so responses to
+// different stimuli can be compared. Segments and rates are relative to the
+// stimulus; fixation crosses are skipped.
+export const computeStimulusFeatureBlocks = (samples, age, gender, eventOptions, blinkEvents, schedule) =>
+  schedule
+    .filter((entry) => entry.type !== 'fixation')
+    .map((entry) => {
+      const firstIndex = samples.findIndex((sample) => sample.stimulusId === entry.id)
+      const stimulusSamples = samples.filter((sample) => sample.stimulusId === entry.id)
+      // Blink sample indices are rebased onto the stimulus's samples
+      const stimulusBlinks = blinkEvents
+        .filter((blink) => blink.onsetMs >= entry.onsetMs && blink.onsetMs < entry.offsetMs)
+        .map((blink) => ({
+          ...blink,
+          startIndex: blink.startIndex - firstIndex,
+          endIndex: blink.endIndex - firstIndex,
+        }))
+      return {
+        stimulusId: entry.id,
+        stimulusName: entry.name,
+        stimulusOnsetMs: entry.onsetMs,
+        stimulusOffsetMs: entry.offsetMs,
+        features: computeAggregatedFeatures(stimulusSamples, age, gender, eventOptions, stimulusBlinks),
+      }
+    })
+    .filter((block) => block.features)
+
+// The samples every feature of a recording is computed from: short gaps
+// filled and the AOIs of the filled samples updated
+const fillSessionSamples = ({ samples, schedule, gapFill = DEFAULT_GAP_FILL }) =>
+  labelInterpolatedAois(fillGazeGaps(samples, gapFill), schedule)
+
+// Fixations as analyzeSession detects them, for records saved without them
+export const detectSessionFixations = (session) =>
+  detectEvents(fillSessionSamples(session), session.eventDetection).fixations
+
+// Features of a recording, computed from its raw samples with the event
+// detection and gap fill settings it was recorded with. features is null when
+// there are too few samples. fixations are the ones the features and AOI
+// metrics were computed from, for the scanpaths.
+export const analyzeSession = (session) => {
+  const { samples, blinks, schedule, participant, eventDetection } = session
+  const filled = fillSessionSamples(session)
+  const { fixations } = detectEvents(filled, eventDetection)
+  return {
+    features: computeAggregatedFeatures(filled, participant.age, participant.gender, eventDetection, blinks),
+    aoiMetrics: computeAoiMetrics(filled, fixations, schedule),
+    stimulusBlocks: computeStimulusFeatureBlocks(
+      filled,
+      participant.age,
+      participant.gender,
+      eventDetection,
+      blinks,
+      schedule
+    ),
+    dataLoss: summarizeDataLoss(samples, filled),
+    fixations,
+  }
+}
+
+const averageOfColumns = (features, a, b) => (features[a] + features[b]) / 2
+
+// A row of the full training dataset (every column of MODEL_TRAINING.md, in
+// order). The app's feature row leaves out the pupil columns, which stay
+// empty, and the redundant averages, which are derived here from their
+// source columns. overrides fill in what the recording cannot know, such as
+// Class or Participant.
+export const buildTrainingRow = (features, overrides = {}) => ({
+  ...Object.fromEntries(FEATURE_SCHEMA.columns.map((column) => [column.name, null])),
+  ...features,
+  avg_eye_c_1: averageOfColumns(features, 'right_eye_c_1', 'left_eye_c_1'),
+  avg_eye_c_2: averageOfColumns(features, 'right_eye_c_2', 'left_eye_c_2'),
+  avg_eye_c_3: averageOfColumns(features, 'right_eye_c_3', 'left_eye_c_3'),
+  gaze_hori_avg_1: averageOfColumns(features, 'gaze_hori_1', 'gaze_hori_3'),
+  gaze_vert_avg_1: averageOfColumns(features, 'gaze_vert_1', 'gaze_vert_3'),
+  ...overrides,
+})
@@ -0,0 +1,149 @@
+// Single source of truth for the aggregated feature set. Columns are listed in
+// the training dataset order from MODEL_TRAINING.md; the CSV export and the
+// prediction payload are both derived from this list, and the model's
+// scaler_params.json feature_names are checked against it before predicting.
+
+export const FEATURE_SCHEMA_VERSION = '1.0.0'
+
+// role: 'feature' (numeric), 'metadata' (identifiers) or 'target'
+// exported: written to the aggregated CSV
+// model: sent to the model, in manifest order
+const feature = (name, options = {}) => ({
+  name,
+  role: 'feature',
+  exported: true,
+  model: true,
+  ...options,
+})
+
+const metadata = (name) => ({ name, role: 'metadata', exported: true, model: false })
+
+// MediaPipe cannot directly measure pupil diameter
+const unavailable = (name) =>
+  feature(name, { exported: false, model: false, unavailable: true })
+
+// Perfect linear combinations of other columns, see REDUNDANT_FEATURES.md
+const redundant = (name) =>
+  feature(name, { exported: false, model: false, redundant: true })
+
+const numbered = (prefix, count, factory) =>
+  Array.from({ length: count }, (_, index) => factory(`${prefix}${index + 1}`))
+
+export const FEATURE_SCHEMA = {
+  version: FEATURE_SCHEMA_VERSION,
+  columns: [
+    ...numbered('Tracking_F_', 4, feature),
+    ...numbered('Pupil_Diam_', 12, unavailable),
+    ...numbered('GazePoint_of_I_', 12, feature),
+    ...numbered('Recording_', 3, feature),
+    ...numbered('gaze_hori_', 4, feature),
+    ...numbered('gaze_vert_', 4, feature),
+    ...numbered('gaze_velo_', 4, feature),
+    ...numbered('blink_count_', 4, feature),
+    ...numbered('fix_count_', 4, feature),
+    ...numbered('sac_count_', 4, feature),
+    metadata('Source_File'),
+    metadata('level_2'),
+    feature('trial_dur_1'),
+    feature('trial_dur_2'),
+    feature('sampling_rate_1'),
+    feature('blink_rate_1'),
+    feature('fixation_rate_1'),
+    feature('saccade_rate_1'),
+    feature('fix_dur_avg_1'),
+    // Exported for analysis but not part of the deployed model input
+    feature('sac_amp_avg_1', { model: false }),
+    feature('sac_peak_vel_avg_1', { model: false }),
+    ...numbered('right_eye_c_', 3, feature),
+    ...numbered('left_eye_c_', 3, feature),
+    ...numbered('avg_eye_c_', 3, redundant),
+    redundant('pupil_diam_avg_1'),
+    redundant('gaze_hori_avg_1'),
+    redundant('gaze_vert_avg_1'),
+    metadata('Participant'),
+    metadata('Gender'),
+    feature('Age'),
+    { name: 'Class', role: 'target', exported: true, model: false },
+    metadata('CARS_Score_is_ASD'),
+    feature('Gender_encoded'),
+  ],
+}
+
+export const AGGREGATED_CSV_HEADERS = FEATURE_SCHEMA.columns
+  .filter((column) => column.exported)
+  .map((column) => column.name)
+
+export const MODEL_FEATURE_NAMES = FEATURE_SCHEMA.columns
+  .filter((column) => column.model)
+  .map((column) => column.name)
+
+// Every dataset column, as in the training CSV (see buildTrainingRow)
+export const TRAINING_CSV_HEADERS = FEATURE_SCHEMA.columns.map((column) => column.name)
+
+export const REDUNDANT_FEATURE_NAMES = FEATURE_SCHEMA.columns
+  .filter((column) => column.redundant)
+  .map((column) => column.name)
+
+// Orders computed values by the manifest and fails loudly if the feature
+// pipeline stopped producing one of the exported columns
+export const buildFeatureRow = (values) => {
+  const missing = AGGREGATED_CSV_HEADERS.filter((name) => values[name] === undefined)
+  if (missing.length) {
+    throw new Error(`Feature pipeline did not produce: ${missing.join(', ')}`)
+  }
+  return Object.fromEntries(AGGREGATED_CSV_HEADERS.map((name) => [name, values[name]]))
+}
+
+export const buildModelPayload = (row) =>
+  Object.fromEntries(MODEL_FEATURE_NAMES.map((name) => [name, row[name]]))
+
+// Compares the manifest's model columns with the feature_names the model was
+// trained on. Any difference means the scaled inputs would be misaligned.
+export const checkFeatureSchema = (featureNames) => {
+  const expected = MODEL_FEATURE_NAMES
+  const actual = featureNames ?? []
+  const missing = expected.filter((name) => !actual.includes(name))
+  const extra = actual.filter((name) => !expected.includes(name))
+
+  const sharedExpected = expected.filter((name) => actual.includes(name))
+  const sharedActual = actual.filter((name) => expected.includes(name))
+  const reordered = sharedExpected
+    .map((name, index) => ({
+      name,
+      expectedIndex: expected.indexOf(name),
+      actualIndex: actual.indexOf(name),
+      displaced: sharedActual[index] !== name,
+    }))
+    .filter((entry) => entry.displaced)
+    .map(({ name, expectedIndex, actualIndex }) => ({ name, expectedIndex, actualIndex }))
+
+  return {
+    ok: !missing.length && !extra.length && !reordered.length,
+    schemaVersion: FEATURE_SCHEMA_VERSION,
+    expectedCount: expected.length,
+    actualCount: actual.length,
+    missing,
+    extra,
+    reordered,
+  }
+}
+
+export const formatSchemaReport = (report) => {
+  const lines = [
+    `Feature schema v${report.schemaVersion} does not match the model (${report.expectedCount} expected, ${report.actualCount} in scaler_params.json).`,
+  ]
+  if (report.missing.length) {
+    lines.push(`Missing from model: ${report.missing.join(', ')}`)
+  }
+  if (report.extra.length) {
+    lines.push(`Unknown to the app: ${report.extra.join(', ')}`)
+  }
+  if (report.reordered.length) {
+    lines.push(
+      `Out of order: ${report.reordered
+        .map((entry) => `${entry.name} (#${entry.expectedIndex + 1} here, #${entry.actualIndex + 1} in model)`)
+        .join(', ')}`
+    )
+  }
+  return lines.join('\n')
+}
@@ -0,0 +1,110 @@
+// Smoothing filters for the calibrated gaze stream. Points are in normalized
+// viewer coordinates (0-1) and times in ms. Each filter keeps its own state;
+// a gap longer than MAX_GAP_MS (lost face, blink) restarts it at the next
+// measurement instead of dragging the estimate across the gap.
+
+export const GAZE_FILTERS = [
+  { id: 'none', label: 'None (raw)' },
+  { id: 'oneEuro', label: 'One Euro' },
+  { id: 'kalman', label: 'Kalman (constant velocity)' },
+]
+
+export const DEFAULT_GAZE_FILTER = {
+  type: 'oneEuro',
+  oneEuro: {
+    // Hz; cutoff while the gaze is still
+    minCutoff: 1,
+    // cutoff increase per viewer-width/s of speed
+    beta: 2,
+    // Hz; cutoff of the speed estimate
+    derivativeCutoff: 1,
+  },
+  kalman: {
+    // (viewer/s²)²; how fast the velocity may change
+    processNoise: 2,
+    // viewer²; variance of a single measurement
+    measurementNoise: 0.0004,
+  },
+}
+
+const MAX_GAP_MS = 250
+
+// Casiez, Roussel & Vogel (2012), 1€ filter
+const smoothingFactor = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff)
+  return 1 / (1 + tau / dt)
+}
+
+const oneEuroAxis = (state, value, dt, params) => {
+  if (!state) {
+    return { value, derivative: 0 }
+  }
+  const rawDerivative = (value - state.value) / dt
+  const derivative =
+    state.derivative + smoothingFactor(params.derivativeCutoff, dt) * (rawDerivative - state.derivative)
+  const cutoff = params.minCutoff + params.beta * Math.abs(derivative)
+  return { value: state.value + smoothingFactor(cutoff, dt) * (value - state.value), derivative }
+}
+
+// One axis of a constant-velocity model: state [position, velocity] with
+// white-noise acceleration
+const kalmanAxis = (state, value, dt, params) => {
+  if (!state) {
+    return { x: [value, 0], p: [[params.measurementNoise, 0], [0, 1]] }
+  }
+  const q = params.processNoise
+  const [x0, x1] = [state.x[0] + dt * state.x[1], state.x[1]]
+  const [[p00, p01], [p10, p11]] = state.p
+  const predicted = [
+    [
+      p00 + dt * (p10 + p01) + dt * dt * p11 + (q * dt ** 3) / 3,
+      p01 + dt * p11 + (q * dt ** 2) / 2,
+    ],
+    [p10 + dt * p11 + (q * dt ** 2) / 2, p11 + q * dt],
+  ]
+  const innovation = value - x0
+  const s = predicted[0][0] + params.measurementNoise
+  const gain = [predicted[0][0] / s, predicted[1][0] / s]
+  return {
+    x: [x0 + gain[0] * innovation, x1 + gain[1] * innovation],
+    p: [
+      [(1 - gain[0]) * predicted[0][0], (1 - gain[0]) * predicted[0][1]],
+      [predicted[1][0] - gain[1] * predicted[0][0], predicted[1][1] - gain[1] * predicted[0][1]],
+    ],
+  }
+}
+
+const FILTER_STEPS = {
+  oneEuro: { step: oneEuroAxis, position: (state) => state.value },
+  kalman: { step: kalmanAxis, position: (state) => state.x[0] },
+}
+
+// settings: { type, oneEuro, kalman } as in DEFAULT_GAZE_FILTER
+export const createGazeFilter = (settings = DEFAULT_GAZE_FILTER) => ({
+  settings,
+  lastTimeMs: null,
+  x: null,
+  y: null,
+})
+
+// Returns the filtered point, or the input untouched for 'none' and null points
+export const filterGazePoint = (filter, point, timeMs) => {
+  const kind = FILTER_STEPS[filter.settings.type]
+  if (!kind || !point) {
+    return point
+  }
+  const dtMs = filter.lastTimeMs === null ? null : timeMs - filter.lastTimeMs
+  if (dtMs !== null && dtMs <= 0) {
+    return { x: kind.position(filter.x), y: kind.position(filter.y) }
+  }
+  if (dtMs === null || dtMs > MAX_GAP_MS) {
+    filter.x = null
+    filter.y = null
+  }
+  const dt = dtMs === null ? 0 : dtMs / 1000
+  const params = filter.settings[filter.settings.type]
+  filter.x = kind.step(filter.x, point.x, dt, params)
+  filter.y = kind.step(filter.y, point.y, dt, params)
+  filter.lastTimeMs = timeMs
+  return { x: kind.position(filter.x), y: kind.position(filter.y) }
+}
@@ -0,0 +1,712 @@
+// The per-frame gaze pipeline behind GazeTracker: FaceMesh landmarks in,
+// head-pose compensated gaze, calibration and validation collection, blink
+// detection, smoothing, live events and recorded samples out. It runs on the
+// main thread or inside gazeWorker.js, so it touches no DOM and reads no
+// clock: each frame arrives with its capture time on the page's
+// performance.now() clock, the viewer's client rect and, while recording, the
+// size of the stimulus content. Results are reported through emit(event,
+// detail) with the events GazeTracker documents; frame details carry no image.
+
+import { FaceMesh } from '@mediapipe/face_mesh'
+import { findAoi } from './aoi'
+import {
+  BLINK_BASELINE_DURATION_MS,
+  computeBlinkBaseline,
+  createBlinkTracker,
+  DEFAULT_BLINK_BASELINE,
+  relativeOpenness,
+  updateBlinkTracker,
+} from './blinkDetection'
+import {
+  applyCalibration,
+  defaultCalibrationModel,
+  fitCalibrationModel,
+  FRAMES_PER_CAL_POINT,
+  summarizeCalibrationSamples,
+} from './calibration'
+import { averagePoints, toStimulusPoint, toViewportPoint } from './coordinates'
+import {
+  classifySample,
+  createLiveEventTracker,
+  DEFAULT_EVENT_DETECTION,
+  updateLiveEvents,
+} from './eventDetection'
+import { createGazeFilter, DEFAULT_GAZE_FILTER, filterGazePoint } from './gazeFilters'
+import { estimateCompensatedGaze, estimateHeadPose, toDegrees } from './headPose'
+import { scheduleDurationMs, scheduleIndexAt } from './protocol'
+import { checkTrackingQuality, createQualityMonitor } from './trackingQuality'
+import {
+  scoreValidationTarget,
+  VALIDATION_FRAMES_PER_POINT,
+  VALIDATION_POINTS,
+  VALIDATION_SETTLE_FRAMES,
+} from './validation'
+
+// Tracker event names of the live events from updateLiveEvents
+const LIVE_EVENT_NAMES = { 'fixation-start': 'fixationStart', 'fixation-end': 'fixationEnd', saccade: 'saccade' }
+
+// FaceMesh's wasm and model files, served with the app (see vite.config.js)
+export const DEFAULT_LOCATE_FILE = (file) => `${import.meta.env.BASE_URL}mediapipe/face_mesh/${file}`
+
+const leftIrisIndices = [468, 469, 470, 471]
+const rightIrisIndices = [473, 474, 475, 476]
+
+const leftEyeTopIndices = [159, 160]
+const leftEyeBottomIndices = [145, 144]
+const leftEyeInnerCorner = 133
+const leftEyeOuterCorner = 33
+
+const rightEyeTopIndices = [386, 387]
+const rightEyeBottomIndices = [374, 380]
+const rightEyeInnerCorner = 362
+const rightEyeOuterCorner = 263
+
+const leftEye = {
+  irisIndices: leftIrisIndices,
+  innerCorner: leftEyeInnerCorner,
+  outerCorner: leftEyeOuterCorner,
+}
+const rightEye = {
+  irisIndices: rightIrisIndices,
+  innerCorner: rightEyeInnerCorner,
+  outerCorner: rightEyeOuterCorner,
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+const round = (value, digits) => (value == null ? null : Number(value.toFixed(digits)))
+
+const getAverageLandmark = (landmarks, indices) => {
+  const points = indices
+    .map((index) => landmarks[index])
+    .filter((point) => point)
+
+  if (!points.length) {
+    return null
+  }
+
+  const sum = points.reduce(
+    (acc, point) => ({
+      x: acc.x + point.x,
+      y: acc.y + point.y,
+      z: acc.z + (point.z ?? 0),
+    }),
+    { x: 0, y: 0, z: 0 }
+  )
+
+  return {
+    x: sum.x / points.length,
+    y: sum.y / points.length,
+    z: sum.z / points.length,
+  }
+}
+
+const getDistance = (a, b) => {
+  if (!a || !b) {
+    return 0
+  }
+  return Math.hypot(a.x - b.x, a.y - b.y)
+}
+
+const getIrisGeometry = (landmarks, irisIndices, width, height) => {
+  const points = irisIndices
+    .map((index) => landmarks[index])
+    .filter(Boolean)
+
+  if (points.length !== irisIndices.length) {
+    return null
+  }
+
+  const center = points.reduce(
+    (acc, point) => ({
+      x: acc.x + point.x,
+      y: acc.y + point.y,
+    }),
+    { x: 0, y: 0 }
+  )
+  center.x /= points.length
+  center.y /= points.length
+
+  const radius =
+    points.reduce((acc, point) => {
+      const dx = (point.x - center.x) * width
+      const dy = (point.y - center.y) * height
+      return acc + Math.hypot(dx, dy)
+    }, 0) / points.length || 0
+
+  return {
+    center,
+    radius,
+    pixel: { x: center.x * width, y: center.y * height },
+  }
+}
+
+// Lid distance over eye width, 0 (closed) to 1
+const eyeOpenness = (landmarks, topIndices, bottomIndices, innerCorner, outerCorner) => {
+  const horizontal = getDistance(landmarks[innerCorner], landmarks[outerCorner])
+  const vertical = getDistance(
+    getAverageLandmark(landmarks, topIndices),
+    getAverageLandmark(landmarks, bottomIndices)
+  )
+  return horizontal > 0 ? clamp(vertical / horizontal, 0, 1) : 0
+}
+
+const idleCalibration = (points = []) => ({
+  status: 'idle',
+  points,
+  pointIndex: 0,
+  samplesForPoint: [],
+  recorded: [],
+  models: {
+    left: defaultCalibrationModel(),
+    right: defaultCalibrationModel(),
+  },
+  validatePoints: VALIDATION_POINTS,
+})
+
+const idleValidation = (points = VALIDATION_POINTS) => ({
+  status: 'idle',
+  points,
+  pointIndex: 0,
+  frames: 0,
+  samplesForPoint: [],
+  results: [],
+})
+
+const idleRecording = () => ({
+  status: 'idle',
+  samples: [],
+  blinks: [],
+  schedule: [],
+  durationMs: Infinity,
+  startTimestamp: 0,
+})
+
+export const FACE_MESH_OPTIONS = {
+  maxNumFaces: 1,
+  refineLandmarks: true,
+  minDetectionConfidence: 0.5,
+  minTrackingConfidence: 0.5,
+}
+
+export const createFaceMesh = (locateFile = DEFAULT_LOCATE_FILE) => {
+  const faceMesh = new FaceMesh({ locateFile })
+  faceMesh.setOptions(FACE_MESH_OPTIONS)
+  return faceMesh
+}
+
+export class GazePipeline {
+  #emit
+  #timeOrigin
+  #eventDetection
+  #gazeFilter
+  #calibration = idleCalibration()
+  #validation = idleValidation()
+  #blinkBaseline = {
+    status: 'idle',
+    frames: [],
+    startTimestamp: 0,
+    durationMs: BLINK_BASELINE_DURATION_MS,
+    baseline: DEFAULT_BLINK_BASELINE,
+  }
+  #recording = idleRecording()
+  #live = null
+
+  // timeOrigin is the page's performance.timeOrigin, for wall-clock sample times
+  constructor({ emit, timeOrigin, gazeFilter = DEFAULT_GAZE_FILTER, eventDetection = DEFAULT_EVENT_DETECTION }) {
+    this.#emit = emit
+    this.#timeOrigin = timeOrigin
+    this.#eventDetection = eventDetection
+    this.#gazeFilter = gazeFilter
+    this.#live = this.#createLiveState()
+  }
+
+  // Collects FRAMES_PER_CAL_POINT frames per target, in order, then fits one
+  // model per eye and validates it on validatePoints (null to skip)
+  calibrate(points, { validatePoints = VALIDATION_POINTS } = {}) {
+    this.#calibration = { ...idleCalibration(points), status: 'running', validatePoints }
+    this.#emitCalibration()
+    this.clearValidation()
+  }
+
+  resetCalibration(points = this.#calibration.points) {
+    this.#calibration = idleCalibration(points)
+    this.#emitCalibration()
+    this.clearValidation()
+  }
+
+  // Scores the current models on targets they were not fitted to
+  validate(points = VALIDATION_POINTS) {
+    this.#validation = { ...idleValidation(points), status: 'running' }
+    this.#emitValidation()
+  }
+
+  clearValidation() {
+    this.#validation = idleValidation()
+    this.#emitValidation()
+  }
+
+  // Records the participant's open-eye openness from startTimestamp on;
+  // blinks are detected against the default thresholds until this completes
+  measureBlinkBaseline(startTimestamp, durationMs = BLINK_BASELINE_DURATION_MS) {
+    this.#blinkBaseline = {
+      status: 'running',
+      frames: [],
+      startTimestamp,
+      durationMs,
+      baseline: DEFAULT_BLINK_BASELINE,
+    }
+    this.#emit('blinkBaseline', { status: 'running', baseline: DEFAULT_BLINK_BASELINE })
+  }
+
+  // New settings start both eyes' filters from scratch
+  setGazeFilter(settings) {
+    this.#gazeFilter = settings
+    this.#live.gazeFilters = {
+      left: createGazeFilter(settings),
+      right: createGazeFilter(settings),
+    }
+  }
+
+  // Only the live eye state uses these; recordings are segmented afterwards
+  setEventDetection(options) {
+    this.#eventDetection = options
+  }
+
+  // Stores a sample for every frame captured from startTimestamp on until
+  // stopRecording. With a stimulus schedule, samples are tagged with the
+  // stimulus on screen and gaze is mapped into its content.
+  startRecording({ startTimestamp, schedule = [], durationMs = scheduleDurationMs(schedule) || Infinity }) {
+    this.#recording = { ...idleRecording(), status: 'running', schedule, durationMs, startTimestamp }
+    // Inter-blink intervals and live events start over with the recording
+    this.#live.blinkTracker = createBlinkTracker()
+    this.#live.eventTracker = createLiveEventTracker()
+  }
+
+  stopRecording() {
+    this.#recording = idleRecording()
+  }
+
+  // One video frame: landmarks are null without a face, stimulusSize is the
+  // content size for stimuli whose schedule entry has none
+  processFrame({ landmarks, width, height, frameTime, viewerRect = null, stimulusSize = null }) {
+    const live = this.#live
+    live.samplesTotal += 1
+    if (live.startTime === null) {
+      live.startTime = frameTime
+    }
+
+    this.#emit('frame', {
+      width,
+      height,
+      landmarks,
+      iris: landmarks
+        ? {
+            left: getIrisGeometry(landmarks, leftIrisIndices, width, height),
+            right: getIrisGeometry(landmarks, rightIrisIndices, width, height),
+          }
+        : null,
+    })
+
+    const now = frameTime
+    this.#emitQualityWarnings({ timeMs: now, faceDetected: !!landmarks })
+    let measurement = null
+    if (landmarks) {
+      live.samplesValid += 1
+      measurement = this.#processLandmarks(landmarks, width, height, now)
+    }
+
+    // Frames without a face are sampled too, so gaps show up in the log
+    this.#takeSample(measurement, now, viewerRect, stimulusSize)
+  }
+
+  #createLiveState() {
+    return {
+      blinkTracker: createBlinkTracker(),
+      eventTracker: createLiveEventTracker(),
+      qualityMonitor: createQualityMonitor(),
+      gazeFilters: {
+        left: createGazeFilter(this.#gazeFilter),
+        right: createGazeFilter(this.#gazeFilter),
+      },
+      prevLeftPoint: null,
+      prevRightPoint: null,
+      prevTimestamp: null,
+      samplesTotal: 0,
+      samplesValid: 0,
+      startTime: null,
+    }
+  }
+
+  #emitCalibration() {
+    const { status, points, pointIndex, models } = this.#calibration
+    this.#emit('calibration', {
+      status,
+      currentIndex: pointIndex,
+      totalPoints: points.length,
+      targetLabel: points[pointIndex]?.label ?? null,
+      rejectedPoints:
+        status === 'complete' ? [...new Set([...models.left.rejectedPoints, ...models.right.rejectedPoints])] : [],
+      models,
+    })
+  }
+
+  #emitValidation() {
+    const { status, pointIndex, results } = this.#validation
+    this.#emit('validation', { status, currentIndex: pointIndex, results: results.slice() })
+  }
+
+  #eventTimeMs(now) {
+    return this.#recording.status === 'running' ? round(now - this.#recording.startTimestamp, 2) : now
+  }
+
+  #emitQualityWarnings(input) {
+    checkTrackingQuality(this.#live.qualityMonitor, input).forEach((warning) =>
+      this.#emit('qualityWarning', warning)
+    )
+  }
+
+  #emitLiveEvents(point, now) {
+    const events = updateLiveEvents(this.#live.eventTracker, point, this.#eventTimeMs(now), this.#eventDetection)
+    events.forEach(({ type, ...event }) => this.#emit(LIVE_EVENT_NAMES[type], event))
+  }
+
+  // Per-frame work on a detected face; returns what the next sample needs
+  #processLandmarks(landmarks, width, height, now) {
+    // Gaze is estimated from eye-in-head rotation plus head pose, so head
+    // movement after calibration is not mistaken for eye movement
+    const headPose = estimateHeadPose(landmarks, width, height)
+    const leftGaze = estimateCompensatedGaze(landmarks, leftEye, headPose, width, height)
+    const rightGaze = estimateCompensatedGaze(landmarks, rightEye, headPose, width, height)
+
+    this.#collectCalibration(leftGaze, rightGaze)
+    this.#collectValidation(leftGaze, rightGaze)
+
+    const leftOpenness = eyeOpenness(
+      landmarks,
+      leftEyeTopIndices,
+      leftEyeBottomIndices,
+      leftEyeInnerCorner,
+      leftEyeOuterCorner
+    )
+    const rightOpenness = eyeOpenness(
+      landmarks,
+      rightEyeTopIndices,
+      rightEyeBottomIndices,
+      rightEyeInnerCorner,
+      rightEyeOuterCorner
+    )
+
+    const live = this.#live
+    const baselineCtx = this.#blinkBaseline
+    if (baselineCtx.status === 'running') {
+      baselineCtx.frames.push({ left: leftOpenness, right: rightOpenness })
+      if (now - baselineCtx.startTimestamp >= baselineCtx.durationMs) {
+        const baseline = computeBlinkBaseline(baselineCtx.frames)
+        baselineCtx.status = baseline ? 'complete' : 'failed'
+        baselineCtx.baseline = baseline ?? DEFAULT_BLINK_BASELINE
+        baselineCtx.frames = []
+        this.#emit('blinkBaseline', { status: baselineCtx.status, baseline: baselineCtx.baseline })
+      }
+    }
+
+    const blinkThresholds = baselineCtx.baseline
+    const blink = updateBlinkTracker(
+      live.blinkTracker,
+      blinkThresholds,
+      relativeOpenness(blinkThresholds, leftOpenness, rightOpenness),
+      now
+    )
+    if (blink) {
+      this.#emit('blink', this.#recordBlink(blink))
+    }
+
+    // Calibrated points once calibration is complete, the uncalibrated
+    // estimate until then
+    const { models } = this.#calibration
+    const hasCalibration = this.#calibration.status === 'complete'
+    const correctedLeft = leftGaze && hasCalibration ? applyCalibration(models.left, leftGaze.point) : leftGaze?.point ?? null
+    const correctedRight =
+      rightGaze && hasCalibration ? applyCalibration(models.right, rightGaze.point) : rightGaze?.point ?? null
+
+    // Smooth every frame so the filters see the full-rate signal; the raw
+    // points are kept next to the filtered ones in the sample log
+    return {
+      headPose,
+      leftOpenness,
+      rightOpenness,
+      correctedLeft,
+      correctedRight,
+      filteredLeft: filterGazePoint(live.gazeFilters.left, correctedLeft, now),
+      filteredRight: filterGazePoint(live.gazeFilters.right, correctedRight, now),
+    }
+  }
+
+  // measurement is null when the frame had no face; every gaze value of the
+  // sample is then empty
+  #takeSample(measurement, now, viewerRect, stimulusSize) {
+    const live = this.#live
+    const {
+      headPose = null,
+      leftOpenness = null,
+      rightOpenness = null,
+      correctedLeft = null,
+      correctedRight = null,
+      filteredLeft = null,
+      filteredRight = null,
+    } = measurement ?? {}
+    const deltaMs = live.prevTimestamp !== null ? Math.max(1, now - live.prevTimestamp) : 1
+
+    // Gaze is normalized to the viewer; points of regard are recorded in
+    // viewport CSS pixels, where the viewer currently sits on the page
+    const toPointOfRegard = (point) => {
+      const viewportPoint = toViewportPoint(point, viewerRect)
+      return viewportPoint
+        ? { x: Number(viewportPoint.x.toFixed(0)), y: Number(viewportPoint.y.toFixed(0)) }
+        : null
+    }
+    const pointOfRegardLeft = toPointOfRegard(filteredLeft)
+    const pointOfRegardRight = toPointOfRegard(filteredRight)
+
+    // Point-of-regard velocity in px/s, for the live eye state only;
+    // recorded samples are segmented by event detection afterwards
+    const velocityOf = (point, prevPoint) =>
+      point && prevPoint ? (Math.hypot(point.x - prevPoint.x, point.y - prevPoint.y) / deltaMs) * 1000 : 0
+
+    const blinkThresholds = this.#blinkBaseline.baseline
+    const { velocityThreshold } = this.#eventDetection
+    // Unknown without a face, or with open eyes but no gaze point
+    const categoryOf = (point, prevPoint, openness, open) => {
+      if (openness == null) {
+        return 'Unknown'
+      }
+      const closed = openness / open < blinkThresholds.closeThreshold
+      return point || closed ? classifySample(velocityOf(point, prevPoint), closed, velocityThreshold) : 'Unknown'
+    }
+    const categoryLeft = categoryOf(pointOfRegardLeft, live.prevLeftPoint, leftOpenness, blinkThresholds.openLeft)
+    const categoryRight = categoryOf(pointOfRegardRight, live.prevRightPoint, rightOpenness, blinkThresholds.openRight)
+
+    live.prevLeftPoint = pointOfRegardLeft
+    live.prevRightPoint = pointOfRegardRight
+    live.prevTimestamp = now
+
+    const metrics = {
+      recordingTimeMs: round(now - live.startTime, 2),
+      categoryRight,
+      categoryLeft,
+      pointOfRegardRightX: pointOfRegardRight?.x ?? null,
+      pointOfRegardRightY: pointOfRegardRight?.y ?? null,
+      pointOfRegardLeftX: pointOfRegardLeft?.x ?? null,
+      pointOfRegardLeftY: pointOfRegardLeft?.y ?? null,
+      trackingRatio: live.samplesTotal > 0 ? round((live.samplesValid / live.samplesTotal) * 100, 2) : 0,
+      headYawDeg: headPose ? round(toDegrees(headPose.yaw), 1) : null,
+      headPitchDeg: headPose ? round(toDegrees(headPose.pitch), 1) : null,
+      headRollDeg: headPose ? round(toDegrees(headPose.roll), 1) : null,
+      headXMm: headPose ? round(headPose.position.x, 1) : null,
+      headYMm: headPose ? round(headPose.position.y, 1) : null,
+      headDistanceMm: headPose ? round(headPose.position.z, 1) : null,
+    }
+
+    const recorded =
+      this.#recording.status === 'running'
+        ? this.#recordSample({
+            metrics,
+            now,
+            viewerRect,
+            stimulusSize,
+            faceDetected: measurement !== null,
+            filteredLeft: pointOfRegardLeft && filteredLeft,
+            filteredRight: pointOfRegardRight && filteredRight,
+            rawPointOfRegardLeft: toPointOfRegard(correctedLeft),
+            rawPointOfRegardRight: toPointOfRegard(correctedRight),
+            leftOpenness,
+            rightOpenness,
+          })
+        : null
+
+    this.#emit('sample', { metrics, recorded })
+    if (measurement) {
+      this.#emitQualityWarnings({ timeMs: now, faceDetected: true, metrics })
+    }
+    this.#emitLiveEvents(
+      live.blinkTracker.phase === 'closed' ? null : averagePoints(pointOfRegardLeft, pointOfRegardRight),
+      now
+    )
+  }
+
+  #collectCalibration(leftGaze, rightGaze) {
+    const calibrationCtx = this.#calibration
+    if (calibrationCtx.status !== 'running' || !leftGaze || !rightGaze) {
+      return
+    }
+    calibrationCtx.samplesForPoint.push({
+      left: leftGaze.point,
+      right: rightGaze.point,
+    })
+    if (calibrationCtx.samplesForPoint.length < FRAMES_PER_CAL_POINT) {
+      return
+    }
+
+    const calibrationPoints = calibrationCtx.points
+    calibrationCtx.recorded.push({
+      target: calibrationPoints[calibrationCtx.pointIndex],
+      left: summarizeCalibrationSamples(calibrationCtx.samplesForPoint, 'left'),
+      right: summarizeCalibrationSamples(calibrationCtx.samplesForPoint, 'right'),
+    })
+    calibrationCtx.samplesForPoint = []
+    calibrationCtx.pointIndex += 1
+
+    if (calibrationCtx.pointIndex < calibrationPoints.length) {
+      this.#emitCalibration()
+      return
+    }
+
+    const toPairs = (eye) =>
+      calibrationCtx.recorded
+        .filter((entry) => entry[eye])
+        .map((entry) => ({
+          measured: entry[eye].point,
+          target: entry.target,
+          reliable: entry[eye].reliable,
+        }))
+
+    calibrationCtx.models = {
+      left: fitCalibrationModel(toPairs('left')),
+      right: fitCalibrationModel(toPairs('right')),
+    }
+    calibrationCtx.status = 'complete'
+    this.#emitCalibration()
+    if (calibrationCtx.validatePoints) {
+      this.validate(calibrationCtx.validatePoints)
+    }
+  }
+
+  #collectValidation(leftGaze, rightGaze) {
+    const validationCtx = this.#validation
+    if (validationCtx.status !== 'running') {
+      return
+    }
+    const { models } = this.#calibration
+    validationCtx.frames += 1
+    if (validationCtx.frames > VALIDATION_SETTLE_FRAMES) {
+      validationCtx.samplesForPoint.push({
+        left: applyCalibration(models.left, leftGaze?.point),
+        right: applyCalibration(models.right, rightGaze?.point),
+      })
+    }
+    if (validationCtx.samplesForPoint.length < VALIDATION_FRAMES_PER_POINT) {
+      return
+    }
+    validationCtx.results.push(
+      scoreValidationTarget(validationCtx.points[validationCtx.pointIndex], validationCtx.samplesForPoint)
+    )
+    validationCtx.samplesForPoint = []
+    validationCtx.frames = 0
+    validationCtx.pointIndex += 1
+    if (validationCtx.pointIndex >= validationCtx.points.length) {
+      validationCtx.status = 'complete'
+    }
+    this.#emitValidation()
+  }
+
+  // Outside a recording blinks are reported with tracker-clock times
+  #recordBlink(blink) {
+    const recording = this.#recording
+    if (recording.status !== 'running') {
+      return blink
+    }
+    const { startTimestamp, samples } = recording
+    const onsetMs = Math.max(0, blink.onsetMs - startTimestamp)
+    const firstIndex = samples.findIndex((sample) => sample.recordingTimeMs >= onsetMs)
+    const startIndex = firstIndex === -1 ? samples.length : firstIndex
+    const recorded = {
+      ...blink,
+      onsetMs: round(onsetMs, 2),
+      offsetMs: round(blink.offsetMs - startTimestamp, 2),
+      durationMs: round(blink.durationMs, 2),
+      minOpenness: round(blink.minOpenness, 3),
+      interBlinkIntervalMs: round(blink.interBlinkIntervalMs, 2),
+      startIndex,
+      endIndex: Math.max(startIndex, samples.length - 1),
+    }
+    recording.blinks.push(recorded)
+    return recorded
+  }
+
+  // Frames captured before the recording started or after its end are not
+  // stored; returns null for them
+  #recordSample({
+    metrics,
+    now,
+    viewerRect,
+    stimulusSize,
+    faceDetected,
+    filteredLeft,
+    filteredRight,
+    rawPointOfRegardLeft,
+    rawPointOfRegardRight,
+    leftOpenness,
+    rightOpenness,
+  }) {
+    const { schedule, durationMs, startTimestamp } = this.#recording
+    const relativeRecordingMs = now - startTimestamp
+    if (relativeRecordingMs < 0 || relativeRecordingMs > durationMs) {
+      return null
+    }
+
+    // Gaze relative to the stimulus content drawn in the viewer, then
+    // hit-tested against that stimulus's AOIs
+    const stimulus = schedule.length ? schedule[scheduleIndexAt(schedule, relativeRecordingMs)] : null
+    const contentSize = stimulus?.width && stimulus?.height ? stimulus : stimulusSize
+    const toStimulus = (point) =>
+      !stimulus || stimulus.type === 'fixation' ? null : toStimulusPoint(point, viewerRect, contentSize, stimulus.fit)
+    const stimulusLeft = toStimulus(filteredLeft)
+    const stimulusRight = toStimulus(filteredRight)
+    const aoi = stimulus?.aois.length
+      ? findAoi(toStimulus(averagePoints(filteredLeft, filteredRight)), stimulus.aois)
+      : null
+
+    const sample = {
+      recordingTimeMs: round(relativeRecordingMs, 2),
+      timestampIso: new Date(this.#timeOrigin + now).toISOString(),
+      stimulusId: stimulus?.id ?? null,
+      stimulusTimeMs: round(relativeRecordingMs - (stimulus?.onsetMs ?? 0), 2),
+      categoryRight: metrics.categoryRight,
+      categoryLeft: metrics.categoryLeft,
+      pointOfRegardRightX: metrics.pointOfRegardRightX,
+      pointOfRegardRightY: metrics.pointOfRegardRightY,
+      pointOfRegardLeftX: metrics.pointOfRegardLeftX,
+      pointOfRegardLeftY: metrics.pointOfRegardLeftY,
+      rawPointOfRegardRightX: rawPointOfRegardRight?.x ?? null,
+      rawPointOfRegardRightY: rawPointOfRegardRight?.y ?? null,
+      rawPointOfRegardLeftX: rawPointOfRegardLeft?.x ?? null,
+      rawPointOfRegardLeftY: rawPointOfRegardLeft?.y ?? null,
+      viewerRightX: round(filteredRight?.x, 4),
+      viewerRightY: round(filteredRight?.y, 4),
+      viewerLeftX: round(filteredLeft?.x, 4),
+      viewerLeftY: round(filteredLeft?.y, 4),
+      stimulusRightX: round(stimulusRight?.x, 4),
+      stimulusRightY: round(stimulusRight?.y, 4),
+      stimulusLeftX: round(stimulusLeft?.x, 4),
+      stimulusLeftY: round(stimulusLeft?.y, 4),
+      viewerWidthPx: round(viewerRect?.width, 0),
+      viewerHeightPx: round(viewerRect?.height, 0),
+      aoi,
+      trackingRatio: round(metrics.trackingRatio, 2),
+      faceDetected,
+      validRight: !!filteredRight,
+      validLeft: !!filteredLeft,
+      blink: faceDetected && this.#live.blinkTracker.phase === 'closed',
+      opennessLeft: round(leftOpenness, 3),
+      opennessRight: round(rightOpenness, 3),
+      headYawDeg: metrics.headYawDeg,
+      headPitchDeg: metrics.headPitchDeg,
+      headRollDeg: metrics.headRollDeg,
+      headXMm: metrics.headXMm,
+      headYMm: metrics.headYMm,
+      headDistanceMm: metrics.headDistanceMm,
+    }
+    this.#recording.samples.push(sample)
+    return sample
+  }
+}
@@ -0,0 +1,451 @@
+// Webcam gaze tracking without any UI framework. GazeTracker owns the camera
+// and the frame loop and hands each video frame to FaceMesh and the gaze
+// pipeline (see gazePipeline.js): head-pose compensated gaze, calibration and
+// validation collection, blink detection, smoothing and sample capture.
+// Front-ends drive it with methods and listen for events:
+//
+//   const tracker = new GazeTracker({ video, getViewerRect })
+//   tracker.on('sample', ({ metrics, recorded }) => { ... })
+//   await tracker.start()
+//   tracker.calibrate(CALIBRATION_GRIDS[9])
+//   tracker.startRecording({ schedule })
+//   const { samples, blinks } = tracker.stopRecording()
+//   tracker.stop()
+//
+// Events (on returns a function that unsubscribes):
+//   status         { status: 'requesting' | 'ready' | 'error', error }
+//   frame          every FaceMesh result: { image, width, height, landmarks,
+//                  iris: { left, right } }; landmarks and iris are null
+//                  without a face; iris geometry is in image pixels
+//   sample         { metrics, recorded } for every processed video frame,
+//                  with or without a face (gaze values are then null);
+//                  recorded is the sample stored while recording, else null
+//   calibration    { status, currentIndex, totalPoints, targetLabel,
+//                  rejectedPoints, models }
+//   validation     { status, currentIndex, results }
+//   blinkBaseline  { status, baseline }
+//   blink          a blink that ended
+//   fixationStart  { onsetMs, x, y } once a live fixation has lasted the
+//                  minimum fixation duration
+//   fixationEnd    { onsetMs, offsetMs, durationMs, x, y }
+//   saccade        { onsetMs, offsetMs, durationMs, startX, startY, endX,
+//                  endY, amplitude, peakVelocity }
+//   qualityWarning { code, message, value } (see trackingQuality.js)
+//
+// Frames are timestamped with the time the camera captured them where the
+// browser reports it (requestVideoFrameCallback), so sample times follow the
+// video rather than when processing happened to finish. Event times are
+// relative to the recording while one is running and on the performance.now()
+// clock otherwise; live positions are points of regard.
+// Gaze points are normalized to the viewer, the element stimuli are shown
+// in; getViewerRect returns its current client rect.
+//
+// FaceMesh and the pipeline run in a Web Worker (gazeWorker.js) where the
+// browser supports it, with frames transferred as ImageBitmaps and events
+// streamed back, so the main thread is left to present stimuli. Without
+// worker support, or if the worker fails to load FaceMesh, they run on the
+// main thread instead; backend says which is in use. Events arrive the same
+// way from either; in the worker case the frame image is the video element.
+
+import { DEFAULT_BLINK_BASELINE } from './blinkDetection'
+import { defaultCalibrationModel } from './calibration'
+import { DEFAULT_EVENT_DETECTION } from './eventDetection'
+import { DEFAULT_GAZE_FILTER } from './gazeFilters'
+import { createFaceMesh, DEFAULT_LOCATE_FILE, GazePipeline } from './gazePipeline'
+import { scheduleDurationMs } from './protocol'
+
+export { DEFAULT_LOCATE_FILE }
+
+const CAMERA_WIDTH = 640
+const CAMERA_HEIGHT = 480
+
+const idleRecording = () => ({
+  status: 'idle',
+  samples: [],
+  blinks: [],
+  schedule: [],
+  durationMs: Infinity,
+  startTimestamp: 0,
+  startedAt: '',
+  getStimulusSize: () => null,
+})
+
+// A DOMRect as plain data, so it can be posted to the worker
+const toPlainRect = (rect) =>
+  rect ? { left: rect.left, top: rect.top, width: rect.width, height: rect.height } : null
+
+const errorMessage = (err) => (err instanceof Error ? err.message : String(err))
+
+// A backend processes one frame at a time: process(video, frame) resolves
+// once the frame's events have been delivered; call(method, args) forwards a
+// GazePipeline method.
+const createMainThreadBackend = ({ locateFile, settings, timeOrigin, onEvent }) => {
+  let frame = null
+  let image = null
+  const pipeline = new GazePipeline({
+    ...settings,
+    timeOrigin,
+    emit: (event, detail) => onEvent(event, event === 'frame' ? { ...detail, image } : detail),
+  })
+  const faceMesh = createFaceMesh(locateFile)
+  faceMesh.onResults((results) => {
+    if (!results.image || !frame) {
+      return
+    }
+    image = results.image
+    pipeline.processFrame({
+      ...frame,
+      landmarks: results.multiFaceLandmarks?.[0] ?? null,
+      width: results.image.width,
+      height: results.image.height,
+    })
+  })
+  return {
+    name: 'main-thread',
+    async process(video, nextFrame) {
+      frame = nextFrame
+      try {
+        await faceMesh.send({ image: video })
+      } finally {
+        frame = null
+      }
+    },
+    call: (method, args) => pipeline[method](...args),
+    close: () => faceMesh.close(),
+  }
+}
+
+const canUseWorker = () =>
+  typeof Worker !== 'undefined' &&
+  typeof createImageBitmap === 'function' &&
+  typeof OffscreenCanvas !== 'undefined'
+
+// Resolves once the worker has loaded FaceMesh; rejects if it cannot
+const createWorkerBackend = ({ video, settings, timeOrigin, onEvent }) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./gazeWorker.js', import.meta.url))
+    let ready = false
+    let frameDone = null
+    const finishFrame = () => {
+      frameDone?.()
+      frameDone = null
+    }
+
+    worker.onerror = (e) => {
+      e.preventDefault()
+      if (!ready) {
+        worker.terminate()
+        reject(new Error(e.message || 'The gaze worker failed to start'))
+        return
+      }
+      console.error('Gaze worker error', e.message)
+      finishFrame()
+    }
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'event') {
+        onEvent(data.event, data.event === 'frame' ? { ...data.detail, image: video } : data.detail)
+      } else if (data.type === 'frameDone') {
+        finishFrame()
+      } else if (data.type === 'ready') {
+        ready = true
+        resolve({
+          name: 'worker',
+          async process(source, frame) {
+            const image = await createImageBitmap(source)
+            await new Promise((done) => {
+              frameDone = done
+              worker.postMessage({ type: 'frame', image, ...frame }, [image])
+            })
+          },
+          call: (method, args) => worker.postMessage({ type: 'call', method, args }),
+          close: () => {
+            worker.terminate()
+            finishFrame()
+          },
+        })
+      } else if (data.type === 'failed') {
+        worker.terminate()
+        reject(new Error(data.error))
+      }
+    }
+    worker.postMessage({ type: 'init', timeOrigin, ...settings })
+  })
+
+export class GazeTracker {
+  #video
+  #getViewerRect
+  #locateFile
+  #useWorker
+  #eventDetection
+  #gazeFilter
+  #listeners = new Map()
+  #backend = null
+  #stream = null
+  #frameRequest = null
+  #active = false
+  #calibrationModels = { left: defaultCalibrationModel(), right: defaultCalibrationModel() }
+  #blinkBaseline = DEFAULT_BLINK_BASELINE
+  #recording = idleRecording()
+
+  // useWorker: false keeps FaceMesh on the main thread. A custom locateFile
+  // does too, since functions cannot be passed to the worker
+  constructor({
+    video,
+    getViewerRect = () => null,
+    gazeFilter = DEFAULT_GAZE_FILTER,
+    eventDetection = DEFAULT_EVENT_DETECTION,
+    locateFile = DEFAULT_LOCATE_FILE,
+    useWorker = true,
+  }) {
+    this.#video = video
+    this.#getViewerRect = getViewerRect
+    this.#locateFile = locateFile
+    this.#useWorker = useWorker && locateFile === DEFAULT_LOCATE_FILE
+    this.#eventDetection = eventDetection
+    this.#gazeFilter = gazeFilter
+  }
+
+  on(event, handler) {
+    if (!this.#listeners.has(event)) {
+      this.#listeners.set(event, new Set())
+    }
+    this.#listeners.get(event).add(handler)
+    return () => this.off(event, handler)
+  }
+
+  off(event, handler) {
+    this.#listeners.get(event)?.delete(handler)
+  }
+
+  #emit(event, detail) {
+    this.#listeners.get(event)?.forEach((handler) => handler(detail))
+  }
+
+  get calibrationModels() {
+    return this.#calibrationModels
+  }
+
+  get blinkBaseline() {
+    return this.#blinkBaseline
+  }
+
+  get isRecording() {
+    return this.#recording.status === 'running'
+  }
+
+  get recordedSampleCount() {
+    return this.#recording.samples.length
+  }
+
+  // 'worker' or 'main-thread' once started, else null
+  get backend() {
+    return this.#backend?.name ?? null
+  }
+
+  // Loads FaceMesh, opens the camera and starts tracking; resolves once
+  // frames are flowing or the start failed (reported through the status event)
+  async start() {
+    if (this.#active) {
+      return
+    }
+    this.#active = true
+
+    try {
+      this.#backend = await this.#createBackend()
+    } catch (faceMeshError) {
+      console.error('Unable to initialize MediaPipe FaceMesh', faceMeshError)
+      this.#fail(faceMeshError, 'Unable to initialize the eye tracking model.')
+      return
+    }
+    if (!this.#active) {
+      this.#backend.close()
+      this.#backend = null
+      return
+    }
+
+    this.#emit('status', { status: 'requesting', error: null })
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { width: CAMERA_WIDTH, height: CAMERA_HEIGHT, facingMode: 'user' },
+        audio: false,
+      })
+      if (!this.#active) {
+        stream.getTracks().forEach((track) => track.stop())
+        return
+      }
+      this.#stream = stream
+      this.#video.srcObject = stream
+      await this.#video.play()
+      if (this.#active) {
+        this.#requestFrame()
+        this.#emit('status', { status: 'ready', error: null })
+      }
+    } catch (err) {
+      if (this.#active) {
+        this.#fail(err, 'Unable to connect to the camera.')
+      }
+    }
+  }
+
+  stop() {
+    this.#active = false
+    this.#frameRequest?.cancel()
+    this.#frameRequest = null
+    this.#backend?.close()
+    this.#backend = null
+    this.#stream?.getTracks().forEach((track) => track.stop())
+    this.#stream = null
+    this.#video.srcObject = null
+  }
+
+  async #createBackend() {
+    const options = {
+      settings: { gazeFilter: this.#gazeFilter, eventDetection: this.#eventDetection },
+      timeOrigin: performance.timeOrigin,
+      onEvent: (event, detail) => this.#handlePipelineEvent(event, detail),
+    }
+    if (this.#useWorker && canUseWorker()) {
+      try {
+        return await createWorkerBackend({ ...options, video: this.#video })
+      } catch (err) {
+        console.warn(`Gaze worker unavailable, tracking on the main thread: ${errorMessage(err)}`)
+      }
+    }
+    return createMainThreadBackend({ ...options, locateFile: this.#locateFile })
+  }
+
+  #fail(err, fallbackMessage) {
+    this.#active = false
+    this.#emit('status', { status: 'error', error: err instanceof Error ? err.message : fallbackMessage })
+  }
+
+  // Waits for the next video frame. requestVideoFrameCallback reports when
+  // the frame was captured; without it, animation frames are polled for a new
+  // video time and the frame is stamped when it is noticed. The next frame is
+  // only requested once FaceMesh is done with this one, so frames that arrive
+  // while it is busy are skipped rather than queued.
+  #requestFrame() {
+    const video = this.#video
+    if (typeof video.requestVideoFrameCallback === 'function') {
+      const id = video.requestVideoFrameCallback((now, metadata) =>
+        this.#processFrame(metadata.captureTime ?? metadata.presentationTime ?? now)
+      )
+      this.#frameRequest = { cancel: () => video.cancelVideoFrameCallback(id) }
+      return
+    }
+    const lastVideoTime = video.currentTime
+    let id = 0
+    const poll = (now) => {
+      if (video.currentTime === lastVideoTime || video.readyState < 2) {
+        id = requestAnimationFrame(poll)
+        return
+      }
+      this.#processFrame(now)
+    }
+    id = requestAnimationFrame(poll)
+    this.#frameRequest = { cancel: () => cancelAnimationFrame(id) }
+  }
+
+  async #processFrame(frameTime) {
+    this.#frameRequest = null
+    if (!this.#active) {
+      return
+    }
+    const recording = this.#recording
+    try {
+      await this.#backend.process(this.#video, {
+        frameTime,
+        viewerRect: toPlainRect(this.#getViewerRect()),
+        stimulusSize: recording.status === 'running' ? recording.getStimulusSize() : null,
+      })
+    } catch (err) {
+      console.error('FaceMesh failed on a video frame', err)
+    }
+    if (this.#active) {
+      this.#requestFrame()
+    }
+  }
+
+  // Keeps what the getters and stopRecording report in step with the
+  // pipeline, wherever it runs, then passes the event on
+  #handlePipelineEvent(event, detail) {
+    const recording = this.#recording
+    if (event === 'calibration') {
+      this.#calibrationModels = detail.models
+    } else if (event === 'blinkBaseline') {
+      this.#blinkBaseline = detail.baseline
+    } else if (event === 'sample' && detail.recorded && recording.status === 'running') {
+      recording.samples.push(detail.recorded)
+    } else if (event === 'blink' && detail.startIndex !== undefined && recording.status === 'running') {
+      // Only blinks the pipeline recorded carry sample indices
+      recording.blinks.push(detail)
+    }
+    this.#emit(event, detail)
+  }
+
+  #call(method, ...args) {
+    this.#backend?.call(method, args)
+  }
+
+  // Collects FRAMES_PER_CAL_POINT frames per target, in order, then fits one
+  // model per eye and validates it on options.validatePoints (null to skip)
+  calibrate(points, options) {
+    this.#call('calibrate', points, options)
+  }
+
+  resetCalibration(points) {
+    this.#call('resetCalibration', points)
+  }
+
+  // Scores the current models on targets they were not fitted to
+  validate(points) {
+    this.#call('validate', points)
+  }
+
+  clearValidation() {
+    this.#call('clearValidation')
+  }
+
+  // Records the participant's open-eye openness; blinks are detected against
+  // the default thresholds until this completes
+  measureBlinkBaseline(durationMs) {
+    this.#call('measureBlinkBaseline', performance.now(), durationMs)
+  }
+
+  // New settings start both eyes' filters from scratch
+  setGazeFilter(settings) {
+    this.#gazeFilter = settings
+    this.#call('setGazeFilter', settings)
+  }
+
+  // Only the live eye state uses these; recordings are segmented afterwards
+  setEventDetection(options) {
+    this.#eventDetection = options
+    this.#call('setEventDetection', options)
+  }
+
+  // Stores a sample for every frame captured until stopRecording. With a
+  // stimulus schedule, samples are tagged with the stimulus on screen and
+  // gaze is mapped into its content; getStimulusSize gives the content size
+  // of stimuli whose schedule entry has none.
+  startRecording({ schedule = [], durationMs = scheduleDurationMs(schedule) || Infinity, getStimulusSize } = {}) {
+    this.#recording = {
+      ...idleRecording(),
+      status: 'running',
+      schedule,
+      durationMs,
+      startTimestamp: performance.now(),
+      startedAt: new Date().toISOString(),
+      getStimulusSize: getStimulusSize ?? (() => null),
+    }
+    this.#call('startRecording', { startTimestamp: this.#recording.startTimestamp, schedule, durationMs })
+    return { startTimestamp: this.#recording.startTimestamp, startedAt: this.#recording.startedAt }
+  }
+
+  stopRecording() {
+    const { startedAt, startTimestamp, schedule, samples, blinks } = this.#recording
+    this.#recording = idleRecording()
+    this.#call('stopRecording')
+    return { startedAt, startTimestamp, schedule, samples, blinks }
+  }
+}
@@ -0,0 +1,186 @@
+// Post-capture gaze overlays drawn on a canvas over the stimulus: a Gaussian
+// heatmap of the gaze samples and a numbered scanpath of fixations. Both work
+// in stimulus-normalized coordinates, so they line up with the stimulus
+// whatever the viewer size was during the recording.
+
+import { averagePoints } from './coordinates'
+
+// Kernel width as a fraction of the stimulus width
+export const HEATMAP_SIGMA = 0.03
+// The density is accumulated on a grid this many times smaller than the canvas
+const HEATMAP_GRID_SCALE = 4
+// Longest side of an exported overlay, in pixels
+export const MAX_OVERLAY_SIZE = 960
+
+const eyePoint = (sample, eye) => {
+  const x = sample[`stimulus${eye}X`]
+  const y = sample[`stimulus${eye}Y`]
+  return x == null || y == null ? null : { x, y }
+}
+
+const stimulusPointOf = (sample) => averagePoints(eyePoint(sample, 'Left'), eyePoint(sample, 'Right'))
+
+// Binocular gaze points that landed on the stimulus, skipping blinks
+export const gazePointsOnStimulus = (samples, stimulusId) =>
+  samples
+    .filter((sample) => sample.stimulusId === stimulusId && !sample.blink)
+    .map(stimulusPointOf)
+    .filter(Boolean)
+
+// Detected fixations that started on the stimulus, positioned at the mean
+// stimulus point of their samples
+export const fixationsOnStimulus = (samples, fixations, stimulusId) =>
+  fixations
+    .filter((fixation) => samples[fixation.startIndex]?.stimulusId === stimulusId)
+    .map((fixation) => {
+      const points = samples
+        .slice(fixation.startIndex, fixation.endIndex + 1)
+        .map(stimulusPointOf)
+        .filter(Boolean)
+      if (!points.length) {
+        return null
+      }
+      return {
+        x: points.reduce((acc, point) => acc + point.x, 0) / points.length,
+        y: points.reduce((acc, point) => acc + point.y, 0) / points.length,
+        durationMs: fixation.durationMs,
+      }
+    })
+    .filter(Boolean)
+
+// Canvas size with the stimulus aspect ratio
+export const overlaySize = (contentSize) => {
+  const scale = Math.min(1, MAX_OVERLAY_SIZE / Math.max(contentSize.width, contentSize.height))
+  return {
+    width: Math.round(contentSize.width * scale),
+    height: Math.round(contentSize.height * scale),
+  }
+}
+
+// Transparent blue through green and yellow to red
+const HEAT_STOPS = [
+  [0, [0, 0, 255]],
+  [0.35, [0, 255, 0]],
+  [0.7, [255, 255, 0]],
+  [1, [255, 0, 0]],
+]
+
+const heatColor = (value) => {
+  const upper = HEAT_STOPS.findIndex(([stop]) => value <= stop)
+  if (upper <= 0) {
+    return HEAT_STOPS[0][1]
+  }
+  const [lowStop, lowColor] = HEAT_STOPS[upper - 1]
+  const [highStop, highColor] = HEAT_STOPS[upper]
+  const t = (value - lowStop) / (highStop - lowStop)
+  return lowColor.map((channel, index) => Math.round(channel + t * (highColor[index] - channel)))
+}
+
+export const drawHeatmap = (ctx, points, width, height, sigma = HEATMAP_SIGMA) => {
+  const gridWidth = Math.max(1, Math.round(width / HEATMAP_GRID_SCALE))
+  const gridHeight = Math.max(1, Math.round(height / HEATMAP_GRID_SCALE))
+  const sigmaCells = Math.max(1, sigma * gridWidth)
+  const radius = Math.ceil(sigmaCells * 3)
+  const density = new Float32Array(gridWidth * gridHeight)
+
+  points.forEach((point) => {
+    const cx = point.x * gridWidth
+    const cy = point.y * gridHeight
+    const minX = Math.max(0, Math.floor(cx - radius))
+    const maxX = Math.min(gridWidth - 1, Math.ceil(cx + radius))
+    const minY = Math.max(0, Math.floor(cy - radius))
+    const maxY = Math.min(gridHeight - 1, Math.ceil(cy + radius))
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const distanceSq = (x + 0.5 - cx) ** 2 + (y + 0.5 - cy) ** 2
+        density[y * gridWidth + x] += Math.exp(-distanceSq / (2 * sigmaCells * sigmaCells))
+      }
+    }
+  })
+
+  const peak = density.reduce((max, value) => Math.max(max, value), 0)
+  if (peak <= 0) {
+    return
+  }
+  const grid = document.createElement('canvas')
+  grid.width = gridWidth
+  grid.height = gridHeight
+  const gridCtx = grid.getContext('2d')
+  const pixels = gridCtx.createImageData(gridWidth, gridHeight)
+  density.forEach((value, index) => {
+    const level = value / peak
+    // Faint tails are left clear so the stimulus stays readable
+    if (level < 0.05) {
+      return
+    }
+    const [r, g, b] = heatColor(level)
+    pixels.data.set([r, g, b, Math.round(level * 0.75 * 255)], index * 4)
+  })
+  gridCtx.putImageData(pixels, 0, 0)
+
+  ctx.save()
+  ctx.imageSmoothingEnabled = true
+  ctx.drawImage(grid, 0, 0, width, height)
+  ctx.restore()
+}
+
+export const drawScanpath = (ctx, fixations, width, height) => {
+  if (!fixations.length) {
+    return
+  }
+  const unit = Math.min(width, height) / 100
+  const centers = fixations.map((fixation) => ({ x: fixation.x * width, y: fixation.y * height }))
+
+  ctx.save()
+  // Saccades as lines between consecutive fixations
+  ctx.strokeStyle = 'rgba(250, 204, 21, 0.85)'
+  ctx.lineWidth = Math.max(1, unit * 0.5)
+  ctx.beginPath()
+  centers.forEach((center, index) => {
+    if (index === 0) {
+      ctx.moveTo(center.x, center.y)
+    } else {
+      ctx.lineTo(center.x, center.y)
+    }
+  })
+  ctx.stroke()
+
+  // Circle area grows with fixation duration
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  fixations.forEach((fixation, index) => {
+    const { x, y } = centers[index]
+    const r = unit * (1.5 + Math.sqrt(fixation.durationMs / 1000) * 4)
+    ctx.beginPath()
+    ctx.arc(x, y, r, 0, Math.PI * 2)
+    ctx.fillStyle = 'rgba(59, 130, 246, 0.55)'
+    ctx.fill()
+    ctx.lineWidth = Math.max(1, unit * 0.3)
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)'
+    ctx.stroke()
+    ctx.fillStyle = '#fff'
+    ctx.font = `600 ${Math.max(10, Math.round(unit * 2.4))}px system-ui, sans-serif`
+    ctx.fillText(String(index + 1), x, y)
+  })
+  ctx.restore()
+}
+
+// Draws the stimulus, or a dark backdrop when it cannot be drawn (video, or
+// an image that failed to load)
+export const drawStimulusBackground = (ctx, image, width, height) => {
+  ctx.fillStyle = '#111827'
+  ctx.fillRect(0, 0, width, height)
+  if (image) {
+    ctx.drawImage(image, 0, 0, width, height)
+  }
+}
+
+export const loadStimulusImage = (src) =>
+  new Promise((resolve) => {
+    const image = new Image()
+    // Cross-origin images would taint the canvas and block the PNG export
+    image.crossOrigin = 'anonymous'
+    image.onload = () => resolve(image)
+    image.onerror = () => resolve(null)
+    image.src = src
+  })
@@ -0,0 +1,80 @@
+// Runs FaceMesh and the gaze pipeline off the main thread for GazeTracker.
+// MediaPipe loads its wasm with importScripts, so this must be started as a
+// classic worker. Messages from the page:
+//
+//   { type: 'init', timeOrigin, gazeFilter, eventDetection }
+//   { type: 'frame', image, frameTime, viewerRect, stimulusSize }
+//                            image is an ImageBitmap, transferred and closed here
+//   { type: 'call', method, args }   a GazePipeline method, in order with frames
+//
+// and to it: { type: 'ready' } or { type: 'failed', error } after init,
+// { type: 'event', event, detail } for every pipeline event and
+// { type: 'frameDone' } once a frame has been processed.
+
+import { createFaceMesh, GazePipeline } from './gazePipeline'
+
+const PIPELINE_METHODS = [
+  'calibrate',
+  'resetCalibration',
+  'validate',
+  'clearValidation',
+  'measureBlinkBaseline',
+  'setGazeFilter',
+  'setEventDetection',
+  'startRecording',
+  'stopRecording',
+]
+
+let faceMesh = null
+let pipeline = null
+let currentFrame = null
+
+const init = async ({ timeOrigin, gazeFilter, eventDetection }) => {
+  pipeline = new GazePipeline({
+    emit: (event, detail) => self.postMessage({ type: 'event', event, detail }),
+    timeOrigin,
+    gazeFilter,
+    eventDetection,
+  })
+  faceMesh = createFaceMesh()
+  faceMesh.onResults(({ image, multiFaceLandmarks }) => {
+    if (!image || !currentFrame) {
+      return
+    }
+    pipeline.processFrame({
+      ...currentFrame,
+      landmarks: multiFaceLandmarks?.[0] ?? null,
+      width: image.width,
+      height: image.height,
+    })
+  })
+  await faceMesh.initialize()
+}
+
+const processFrame = async ({ image, frameTime, viewerRect, stimulusSize }) => {
+  currentFrame = { frameTime, viewerRect, stimulusSize }
+  try {
+    await faceMesh.send({ image })
+  } catch (err) {
+    console.error('FaceMesh failed on a video frame', err)
+  } finally {
+    image.close()
+    currentFrame = null
+    self.postMessage({ type: 'frameDone' })
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'init') {
+    try {
+      await init(data)
+      self.postMessage({ type: 'ready' })
+    } catch (err) {
+      self.postMessage({ type: 'failed', error: err instanceof Error ? err.message : String(err) })
+    }
+  } else if (data.type === 'frame') {
+    await processFrame(data)
+  } else if (data.type === 'call' && PIPELINE_METHODS.includes(data.method)) {
+    pipeline[data.method](...data.args)
+  }
+}
@@ -0,0 +1,166 @@
+// Head-pose compensated gaze. FaceMesh landmarks are lifted into a 3D camera
+// frame, a head coordinate frame is fitted to stable facial points, and each
+// eye's rotation inside the head is combined with the head pose to cast a gaze
+// ray onto the screen plane. Calibration then only has to correct the residual
+// error of this geometric estimate, so it stays valid when the child moves.
+
+const FOREHEAD = 10
+const CHIN = 152
+const NOSE_TIP = 1
+const RIGHT_FACE_EYE_OUTER = 33
+const LEFT_FACE_EYE_OUTER = 263
+
+// Anthropometric defaults; calibration absorbs per-child differences
+const OUTER_EYE_CORNER_DISTANCE_MM = 80
+const EYE_WIDTH_MM = 30
+const EYEBALL_RADIUS_MM = 12
+// Typical webcam horizontal field of view
+const CAMERA_HORIZONTAL_FOV_RAD = (60 * Math.PI) / 180
+// Screen the uncalibrated estimate is normalized to, with the camera centred on top
+const NOMINAL_SCREEN_WIDTH_MM = 340
+const NOMINAL_SCREEN_HEIGHT_MM = 190
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z })
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z })
+const scale = (a, factor) => ({ x: a.x * factor, y: a.y * factor, z: a.z * factor })
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x,
+})
+const length = (a) => Math.sqrt(dot(a, a))
+const normalize = (a) => {
+  const size = length(a)
+  return size > 0 ? scale(a, 1 / size) : null
+}
+
+// FaceMesh z shares the x scale, so x and z are both multiplied by the width
+const toPixels = (landmark, width, height) =>
+  landmark ? { x: landmark.x * width, y: landmark.y * height, z: (landmark.z ?? 0) * width } : null
+
+const averageLandmarks = (landmarks, indices, width, height) => {
+  const points = indices.map((index) => toPixels(landmarks[index], width, height)).filter(Boolean)
+  if (points.length !== indices.length) {
+    return null
+  }
+  return scale(points.reduce(add, { x: 0, y: 0, z: 0 }), 1 / points.length)
+}
+
+const focalLengthPx = (width) => width / 2 / Math.tan(CAMERA_HORIZONTAL_FOV_RAD / 2)
+
+// Head frame in image axes: x to the image right, y down, z away from the camera.
+// Angles are in radians; position is in millimetres relative to the camera.
+export const estimateHeadPose = (landmarks, width, height) => {
+  const [forehead, chin, nose, rightOuter, leftOuter] = [
+    FOREHEAD,
+    CHIN,
+    NOSE_TIP,
+    RIGHT_FACE_EYE_OUTER,
+    LEFT_FACE_EYE_OUTER,
+  ].map((index) => toPixels(landmarks?.[index], width, height))
+  if (!forehead || !chin || !nose || !rightOuter || !leftOuter) {
+    return null
+  }
+
+  const xAxis = normalize(subtract(leftOuter, rightOuter))
+  const down = normalize(subtract(chin, forehead))
+  if (!xAxis || !down) {
+    return null
+  }
+  const yAxis = normalize(subtract(down, scale(xAxis, dot(down, xAxis))))
+  if (!yAxis) {
+    return null
+  }
+  const zAxis = cross(xAxis, yAxis)
+
+  const cornerDistancePx = length(subtract(leftOuter, rightOuter))
+  const focal = focalLengthPx(width)
+  const distanceMm = (focal * OUTER_EYE_CORNER_DISTANCE_MM) / cornerDistancePx
+  const center = scale(add(add(rightOuter, leftOuter), nose), 1 / 3)
+
+  return {
+    axes: { x: xAxis, y: yAxis, z: zAxis },
+    yaw: Math.atan2(xAxis.z, xAxis.x),
+    pitch: Math.atan2(-yAxis.z, yAxis.y),
+    roll: Math.atan2(xAxis.y, xAxis.x),
+    mmPerPixel: OUTER_EYE_CORNER_DISTANCE_MM / cornerDistancePx,
+    position: {
+      x: ((center.x - width / 2) / focal) * distanceMm,
+      y: ((center.y - height / 2) / focal) * distanceMm,
+      z: distanceMm,
+    },
+  }
+}
+
+// Rotation of the eyeball inside the head, from where the iris sits between the
+// eye corners, expressed along the head's own axes
+const estimateEyeRotation = (iris, eyeCenter, eyeWidthPx, pose) => {
+  const offset = subtract(iris, eyeCenter)
+  const horizontalMm = (dot(offset, pose.axes.x) / eyeWidthPx) * EYE_WIDTH_MM
+  const verticalMm = (dot(offset, pose.axes.y) / eyeWidthPx) * EYE_WIDTH_MM
+  return {
+    yaw: Math.asin(clamp(horizontalMm / EYEBALL_RADIUS_MM, -1, 1)),
+    pitch: Math.asin(clamp(verticalMm / EYEBALL_RADIUS_MM, -1, 1)),
+  }
+}
+
+// eye: { irisIndices, innerCorner, outerCorner }
+// Returns the uncalibrated gaze point on the screen plane in normalized
+// coordinates (roughly 0-1 across a nominal laptop screen) plus the eye's
+// rotation in the head, or null when the eye cannot be measured.
+export const estimateCompensatedGaze = (landmarks, eye, pose, width, height) => {
+  if (!pose) {
+    return null
+  }
+  const iris = averageLandmarks(landmarks, eye.irisIndices, width, height)
+  const inner = toPixels(landmarks[eye.innerCorner], width, height)
+  const outer = toPixels(landmarks[eye.outerCorner], width, height)
+  if (!iris || !inner || !outer) {
+    return null
+  }
+  const eyeCenter = scale(add(inner, outer), 0.5)
+  const eyeWidthPx = length(subtract(inner, outer))
+  if (eyeWidthPx <= 0) {
+    return null
+  }
+
+  const rotation = estimateEyeRotation(iris, eyeCenter, eyeWidthPx, pose)
+  // Looking straight ahead means looking back along the head's z axis
+  const localDirection = {
+    x: Math.sin(rotation.yaw) * Math.cos(rotation.pitch),
+    y: Math.sin(rotation.pitch),
+    z: -Math.cos(rotation.yaw) * Math.cos(rotation.pitch),
+  }
+  const direction = add(
+    add(scale(pose.axes.x, localDirection.x), scale(pose.axes.y, localDirection.y)),
+    scale(pose.axes.z, localDirection.z)
+  )
+  if (direction.z >= -1e-6) {
+    return null
+  }
+
+  // Eye position in camera millimetres, then intersect the ray with the
+  // screen plane (z = 0, the camera sits in it)
+  const focal = focalLengthPx(width)
+  const origin = {
+    x: ((eyeCenter.x - width / 2) / focal) * pose.position.z,
+    y: ((eyeCenter.y - height / 2) / focal) * pose.position.z,
+    z: pose.position.z + eyeCenter.z * pose.mmPerPixel,
+  }
+  const t = -origin.z / direction.z
+  const hit = add(origin, scale(direction, t))
+
+  return {
+    // The camera image is not mirrored, so the child's right is the image left
+    point: {
+      x: 0.5 - hit.x / NOMINAL_SCREEN_WIDTH_MM,
+      y: hit.y / NOMINAL_SCREEN_HEIGHT_MM,
+    },
+    rotation,
+  }
+}
+
+export const toDegrees = (radians) => (radians * 180) / Math.PI
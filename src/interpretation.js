@@ -0,0 +1,206 @@
+// Plain-language interpretation of a prediction for the results view, from
+// one of three providers:
+//
+//   template           built here from the prediction, confidence and data
+//                      quality numbers; deterministic and needs no network
+//   openai-compatible  a chat completions endpoint (VITE_INTERPRETATION_URL),
+//                      e.g. a local model server; no key is sent, so an
+//                      endpoint that needs one belongs behind the proxy
+//   proxy              a server (VITE_INTERPRETATION_PROXY_URL) that holds
+//                      the LLM key and prompt; it is POSTed the context below
+//                      and answers { summary }
+//
+// The context every provider works from:
+//
+//   { prediction, probabilityAsd, probabilityTd, confidence, age, gender,
+//     sampleCount, dataLossPercent, noFacePercent, interpolatedPercent,
+//     trackingRatio, samplingRate, validationAccuracy }
+//
+// Numbers that were not measured are null.
+
+import { QUALITY_LIMITS } from './trackingQuality'
+
+export const INTERPRETATION_URL = import.meta.env.VITE_INTERPRETATION_URL || ''
+export const INTERPRETATION_MODEL = import.meta.env.VITE_INTERPRETATION_MODEL || 'gpt-3.5-turbo'
+export const INTERPRETATION_PROXY_URL = import.meta.env.VITE_INTERPRETATION_PROXY_URL || ''
+
+export const INTERPRETATION_PROVIDERS = [
+  { id: 'template', label: 'Template (offline)', configured: true },
+  { id: 'openai-compatible', label: 'OpenAI-compatible endpoint', configured: Boolean(INTERPRETATION_URL) },
+  { id: 'proxy', label: 'Server proxy', configured: Boolean(INTERPRETATION_PROXY_URL) },
+]
+
+const isConfigured = (id) => INTERPRETATION_PROVIDERS.some((provider) => provider.id === id && provider.configured)
+
+export const DEFAULT_INTERPRETATION_PROVIDER = isConfigured(import.meta.env.VITE_INTERPRETATION_PROVIDER)
+  ? import.meta.env.VITE_INTERPRETATION_PROVIDER
+  : 'template'
+
+// More missing gaze than this and the template advises repeating the session
+const MAX_RELIABLE_DATA_LOSS_PERCENT = 25
+
+const averageOf = (values) => {
+  const present = values.filter(Number.isFinite)
+  return present.length ? present.reduce((acc, value) => acc + value, 0) / present.length : null
+}
+
+export const buildInterpretationContext = ({ prediction, participant, dataLoss, features, validationSummary }) => ({
+  prediction: prediction.prediction,
+  probabilityAsd: prediction.probability_asd,
+  probabilityTd: prediction.probability_td,
+  confidence: prediction.confidence,
+  age: participant.age,
+  gender: participant.gender,
+  sampleCount: dataLoss?.sampleCount ?? null,
+  dataLossPercent: dataLoss?.dataLossPercent ?? null,
+  noFacePercent: dataLoss?.noFacePercent ?? null,
+  interpolatedPercent: dataLoss?.interpolatedPercent ?? null,
+  trackingRatio: features?.Tracking_F_1 ?? null,
+  samplingRate: features?.sampling_rate_1 ?? null,
+  validationAccuracy: validationSummary
+    ? averageOf([validationSummary.left?.accuracy, validationSummary.right?.accuracy])
+    : null,
+})
+
+const percent = (value, digits = 1) => `${Number(value).toFixed(digits)}%`
+
+// One sentence per measured data quality number
+const describeDataQuality = (context) => {
+  const sentences = []
+  if (context.dataLossPercent !== null) {
+    sentences.push(
+      `${percent(context.dataLossPercent)} of the ${context.sampleCount} samples had no usable gaze` +
+        (context.noFacePercent ? ` (${percent(context.noFacePercent)} without a face in view)` : '') +
+        (context.interpolatedPercent ? ` and ${percent(context.interpolatedPercent)} were filled by interpolation.` : '.')
+    )
+  }
+  if (context.trackingRatio !== null) {
+    sentences.push(
+      `The face was tracked in ${percent(context.trackingRatio)} of camera frames` +
+        (context.samplingRate ? `, at ${context.samplingRate.toFixed(0)} samples per second.` : '.')
+    )
+  }
+  if (context.validationAccuracy !== null) {
+    sentences.push(
+      `Calibration was validated to a mean accuracy of ${percent(context.validationAccuracy)} of the screen.`
+    )
+  }
+  return sentences
+}
+
+const CONFIDENCE_NOTES = {
+  High: 'The probabilities are far from the decision point of the model, so the classification is a clear one.',
+  Moderate: 'The probabilities lean one way but not strongly, so the result should be weighed with other information.',
+  Low: 'The probabilities are close to the decision point of the model, so the result is best treated as inconclusive.',
+}
+
+export const buildTemplateSummary = (context) => {
+  const pattern =
+    context.prediction === 'ASD'
+      ? 'resemble those of children with autism spectrum disorder (ASD)'
+      : 'resemble those of typically developing (TD) children'
+  const result = [
+    `The screening model found that the gaze patterns in this session ${pattern} in its training data.`,
+    `It estimates a ${percent(context.probabilityAsd * 100)} probability of ASD and ${percent(
+      context.probabilityTd * 100
+    )} of typical development, with ${context.confidence.toLowerCase()} confidence.`,
+    CONFIDENCE_NOTES[context.confidence] ?? '',
+  ]
+
+  const quality = describeDataQuality(context)
+  const unreliable =
+    (context.dataLossPercent !== null && context.dataLossPercent > MAX_RELIABLE_DATA_LOSS_PERCENT) ||
+    (context.trackingRatio !== null && context.trackingRatio < QUALITY_LIMITS.minTrackingRatio)
+  if (unreliable) {
+    quality.push('With this much missing data the result is less reliable; consider repeating the session.')
+  }
+
+  const nextSteps = [
+    'This is a screening result, not a diagnosis, and eye tracking captures only one aspect of development.',
+    context.prediction === 'ASD'
+      ? 'Discussing it with a qualified clinician, who can arrange a comprehensive developmental assessment, is a reasonable next step.'
+      : 'Any concerns that caregivers or clinicians have about the development of the child should still be followed up with a qualified professional.',
+  ]
+
+  return [result, quality, nextSteps]
+    .map((sentences) => sentences.filter(Boolean).join(' '))
+    .filter(Boolean)
+    .join('\n\n')
+}
+
+const buildPrompt = (context) => {
+  const quality = describeDataQuality(context)
+  return `You are a medical AI assistant providing a clear, empathetic interpretation of eye-tracking assessment results for autism spectrum disorder (ASD) screening.
+
+Assessment Results:
+- Prediction: ${context.prediction}
+- ASD Probability: ${percent(context.probabilityAsd * 100)}
+- TD (Typically Developing) Probability: ${percent(context.probabilityTd * 100)}
+- Confidence Level: ${context.confidence}
+- Participant Age: ${context.age} years
+- Participant Gender: ${context.gender}
+${quality.length ? `\nData Quality:\n${quality.map((sentence) => `- ${sentence}`).join('\n')}\n` : ''}
+Please provide a brief, professional, and compassionate summary (2-3 paragraphs) that:
+1. Explains what these results mean in plain language
+2. Interprets the probability scores, confidence level and data quality
+3. Provides appropriate context about what this assessment does and does not indicate
+4. Emphasizes that this is a screening tool and not a diagnostic tool
+5. Suggests next steps if appropriate
+
+Be empathetic, clear, and avoid medical jargon. Do not make definitive diagnoses.`
+}
+
+const postJson = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  })
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    throw new Error(errorData.error?.message || errorData.detail || `${url} returned ${response.status}`)
+  }
+  return response.json()
+}
+
+const requestChatCompletion = async (context) => {
+  const data = await postJson(INTERPRETATION_URL, {
+    model: INTERPRETATION_MODEL,
+    messages: [
+      {
+        role: 'system',
+        content:
+          'You are a helpful medical AI assistant that provides clear, empathetic interpretations of medical screening results.',
+      },
+      { role: 'user', content: buildPrompt(context) },
+    ],
+    max_tokens: 500,
+    temperature: 0.7,
+  })
+  const summary = data.choices?.[0]?.message?.content
+  if (!summary) {
+    throw new Error('The interpretation endpoint returned no summary')
+  }
+  return summary
+}
+
+const requestFromProxy = async (context) => {
+  const data = await postJson(INTERPRETATION_PROXY_URL, context)
+  if (!data.summary) {
+    throw new Error('The interpretation proxy returned no summary')
+  }
+  return data.summary
+}
+
+// Resolves to the summary text
+export const requestInterpretation = async (provider, context) => {
+  if (provider === 'openai-compatible' && INTERPRETATION_URL) {
+    return requestChatCompletion(context)
+  }
+  if (provider === 'proxy' && INTERPRETATION_PROXY_URL) {
+    return requestFromProxy(context)
+  }
+  return buildTemplateSummary(context)
+}
@@ -0,0 +1,141 @@
+// Missing gaze data. Every recorded sample says whether a face was found
+// (faceDetected) and whether each eye produced a gaze point (validLeft,
+// validRight); an eye without one has empty coordinates rather than zeros.
+// Before features are computed, short gaps in an eye's signal are filled by
+// linear interpolation between the valid samples around them and flagged
+// interpolatedLeft/Right; longer gaps stay empty, so every statistic only
+// sees measured or interpolated gaze.
+//
+// Samples from before the flags existed were only recorded with a face in
+// view and wrote an eye without gaze as 0, 0. Saved sessions and session
+// bundles are upgraded with flagMissingGaze; samples CSVs from that time have
+// no flags, and their eyes count as valid whenever they have coordinates.
+
+export const DEFAULT_GAP_FILL = {
+  // ms between the valid samples around a gap; longer gaps are not filled
+  maxGapMs: 200,
+}
+
+const EYES = ['Left', 'Right']
+
+// Coordinate columns filled per eye; stimulus coordinates only within one stimulus
+const coordinateColumns = (eye) => [
+  `pointOfRegard${eye}X`,
+  `pointOfRegard${eye}Y`,
+  `viewer${eye}X`,
+  `viewer${eye}Y`,
+  `stimulus${eye}X`,
+  `stimulus${eye}Y`,
+]
+
+// Every column that holds one eye's gaze point
+const gazeColumns = (eye) => [
+  `pointOfRegard${eye}X`,
+  `pointOfRegard${eye}Y`,
+  `rawPointOfRegard${eye}X`,
+  `rawPointOfRegard${eye}Y`,
+  `viewer${eye}X`,
+  `viewer${eye}Y`,
+  `stimulus${eye}X`,
+  `stimulus${eye}Y`,
+]
+
+// Adds the flags to a sample recorded before they existed, emptying an eye at
+// exactly 0, 0; samples that have them are returned unchanged
+export const flagMissingGaze = (sample) => {
+  if ('validLeft' in sample && 'validRight' in sample) {
+    return sample
+  }
+  const flagged = { ...sample, faceDetected: true }
+  EYES.forEach((eye) => {
+    const valid = !(sample[`pointOfRegard${eye}X`] === 0 && sample[`pointOfRegard${eye}Y`] === 0)
+    flagged[`valid${eye}`] = valid
+    if (!valid) {
+      gazeColumns(eye).forEach((column) => {
+        flagged[column] = null
+      })
+    }
+  })
+  return flagged
+}
+
+export const hasEyeGaze = (sample, eye) =>
+  sample[`valid${eye}`] !== false &&
+  Number.isFinite(sample[`pointOfRegard${eye}X`]) &&
+  Number.isFinite(sample[`pointOfRegard${eye}Y`])
+
+const interpolate = (from, to, fraction) =>
+  Number.isFinite(from) && Number.isFinite(to) ? from + (to - from) * fraction : null
+
+// Returns new samples with each eye's short gaps filled
+export const fillGazeGaps = (samples, options = DEFAULT_GAP_FILL) => {
+  const { maxGapMs } = { ...DEFAULT_GAP_FILL, ...options }
+  const filled = samples.map((sample) => ({ ...sample }))
+
+  EYES.forEach((eye) => {
+    let lastValid = -1
+    filled.forEach((sample, index) => {
+      if (!hasEyeGaze(samples[index], eye)) {
+        return
+      }
+      const before = filled[lastValid]
+      const gapStart = lastValid + 1
+      lastValid = index
+      if (!before || gapStart === index || sample.recordingTimeMs - before.recordingTimeMs > maxGapMs) {
+        return
+      }
+      const sameStimulus = before.stimulusId === sample.stimulusId
+      for (let gap = gapStart; gap < index; gap++) {
+        const target = filled[gap]
+        const fraction =
+          (target.recordingTimeMs - before.recordingTimeMs) / (sample.recordingTimeMs - before.recordingTimeMs)
+        coordinateColumns(eye).forEach((column) => {
+          target[column] =
+            column.startsWith('stimulus') && !sameStimulus ? null : interpolate(before[column], sample[column], fraction)
+        })
+        target[`interpolated${eye}`] = true
+      }
+    })
+  })
+  return filled
+}
+
+// Measured or interpolated gaze
+export const hasUsableGaze = (sample, eye) =>
+  sample[`interpolated${eye}`] === true || hasEyeGaze(sample, eye)
+
+const percentOf = (count, total) => (total > 0 ? Number(((count / total) * 100).toFixed(2)) : 0)
+
+// Share of samples without usable gaze, before and after gap filling.
+// dataLossPercent counts samples where neither eye has gaze after filling,
+// which are left out of every feature
+export const summarizeDataLoss = (samples, filledSamples) => {
+  const total = samples.length
+  const count = (list, test) => list.filter(test).length
+  return {
+    sampleCount: total,
+    noFacePercent: percentOf(count(samples, (sample) => sample.faceDetected === false), total),
+    leftMissingPercent: percentOf(count(samples, (sample) => !hasEyeGaze(sample, 'Left')), total),
+    rightMissingPercent: percentOf(count(samples, (sample) => !hasEyeGaze(sample, 'Right')), total),
+    interpolatedPercent: percentOf(
+      count(filledSamples, (sample) => sample.interpolatedLeft || sample.interpolatedRight),
+      total
+    ),
+    dataLossPercent: percentOf(
+      count(filledSamples, (sample) => !hasUsableGaze(sample, 'Left') && !hasUsableGaze(sample, 'Right')),
+      total
+    ),
+  }
+}
+
+// Extra CSV columns for the features file; they are not sent to the model
+export const buildDataLossColumns = (dataLoss) =>
+  dataLoss
+    ? {
+        data_loss_pct: dataLoss.dataLossPercent,
+        data_no_face_pct: dataLoss.noFacePercent,
+        data_left_missing_pct: dataLoss.leftMissingPercent,
+        data_right_missing_pct: dataLoss.rightMissingPercent,
+        data_interpolated_pct: dataLoss.interpolatedPercent,
+      }
+    : {}
@@ -0,0 +1,145 @@
+// ASD prediction backends: the TensorFlow.js model exported by the training
+// script (public/model + public/scaler_params.json) or the remote Python API.
+
+import { checkFeatureSchema, formatSchemaReport } from './featureSchema'
+
+export const PREDICTION_BACKENDS = [
+  { id: 'browser', label: 'In-browser (TensorFlow.js)' },
+  { id: 'remote', label: 'Remote API' },
+]
+
+export const REMOTE_PREDICTION_URL =
+  import.meta.env.VITE_PREDICTION_API_URL || 'http://localhost:8000/predict'
+
+export const DEFAULT_PREDICTION_BACKEND =
+  import.meta.env.VITE_PREDICTION_BACKEND === 'remote' ? 'remote' : 'browser'
+
+const MODEL_URL = `${import.meta.env.BASE_URL}model/model.json`
+const SCALER_PARAMS_URL = `${import.meta.env.BASE_URL}scaler_params.json`
+
+let tfPromise = null
+let modelPromise = null
+let scalerPromise = null
+
+// TensorFlow.js is large, so it is only pulled in when the browser backend is used
+const loadTf = () => {
+  if (!tfPromise) {
+    tfPromise = import('@tensorflow/tfjs')
+  }
+  return tfPromise
+}
+
+export const loadScalerParams = () => {
+  if (!scalerPromise) {
+    scalerPromise = fetch(SCALER_PARAMS_URL)
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Unable to load ${SCALER_PARAMS_URL} (${response.status})`)
+        }
+        const data = await response.json()
+        const featureNames = data.feature_names
+        const mean = data.scalerParams?.mean
+        const scale = data.scalerParams?.scale
+        if (
+          !Array.isArray(featureNames) ||
+          !Array.isArray(mean) ||
+          !Array.isArray(scale) ||
+          mean.length !== featureNames.length ||
+          scale.length !== featureNames.length
+        ) {
+          throw new Error('scaler_params.json must contain feature_names and matching scalerParams.mean/scale arrays.')
+        }
+        return { featureNames, mean, scale }
+      })
+      .catch((err) => {
+        scalerPromise = null
+        throw err
+      })
+  }
+  return scalerPromise
+}
+
+const loadModel = () => {
+  if (!modelPromise) {
+    modelPromise = loadTf()
+      .then(async (tf) => {
+        try {
+          return await tf.loadLayersModel(MODEL_URL)
+        } catch {
+          // Models converted from a SavedModel load as graph models instead
+          return await tf.loadGraphModel(MODEL_URL)
+        }
+      })
+      .catch((err) => {
+        modelPromise = null
+        throw new Error(`Unable to load model from ${MODEL_URL}: ${err.message}`)
+      })
+  }
+  return modelPromise
+}
+
+const getConfidence = (probabilityAsd) => {
+  const margin = Math.abs(probabilityAsd - 0.5) * 2
+  if (margin >= 0.6) {
+    return 'High'
+  }
+  if (margin >= 0.3) {
+    return 'Moderate'
+  }
+  return 'Low'
+}
+
+// Same response shape as the remote API
+export const buildPredictionResult = (probabilityAsd) => ({
+  prediction: probabilityAsd >= 0.5 ? 'ASD' : 'TD',
+  probability_asd: probabilityAsd,
+  probability_td: 1 - probabilityAsd,
+  confidence: getConfidence(probabilityAsd),
+})
+
+const predictInBrowser = async (features) => {
+  const [tf, model, scaler] = await Promise.all([loadTf(), loadModel(), loadScalerParams()])
+
+  const report = checkFeatureSchema(scaler.featureNames)
+  if (!report.ok) {
+    throw new Error(formatSchemaReport(report))
+  }
+  const nonNumeric = scaler.featureNames.filter((name) => !Number.isFinite(features[name]))
+  if (nonNumeric.length) {
+    throw new Error(`Non-numeric model features: ${nonNumeric.join(', ')}`)
+  }
+
+  const vector = scaler.featureNames.map(
+    (name, index) => (features[name] - scaler.mean[index]) / (scaler.scale[index] || 1)
+  )
+
+  const input = tf.tensor2d([vector])
+  const output = model.predict(input)
+  try {
+    const values = await output.data()
+    // Single sigmoid unit per MODEL_TRAINING.md; a two-unit softmax puts ASD second
+    const probabilityAsd = values.length > 1 ? values[1] : values[0]
+    return buildPredictionResult(probabilityAsd)
+  } finally {
+    input.dispose()
+    output.dispose()
+  }
+}
+
+const predictRemote = async (features) => {
+  const response = await fetch(REMOTE_PREDICTION_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(features),
+  })
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ detail: `API error: ${response.statusText}` }))
+    throw new Error(errorData.detail || `API error: ${response.statusText}`)
+  }
+  return response.json()
+}
+
+export const requestPrediction = (backend, features) =>
+  backend === 'remote' ? predictRemote(features) : predictInBrowser(features)
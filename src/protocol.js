@@ -0,0 +1,225 @@
+// Stimulus protocols. A protocol is a JSON file listing image and video
+// stimuli with their durations and AOIs, an optional fixation cross between
+// stimuli, and the presentation order. Bundled protocols live in
+// public/protocols/ (listed in index.json); others can be opened from disk.
+//
+// {
+//   "name": "Free viewing", "version": "1.0.0",
+//   "order": "fixed" | "randomized" | "counterbalanced",
+//   "fixationCross": { "durationMs": 1000 },
+//   "stimuli": [
+//     { "id": "portrait", "type": "image" | "video", "src": "stimuli/portrait.jpg",
+//       "name": "Portrait", "durationMs": 10000, "width": 1724, "height": 1143,
+//       "fit": "contain" | "cover" | "fill",
+//       "aois": [{ "id": "eyes", "label": "Eyes", "shape": "rect", "x": 0.4, "y": 0.31,
+//                  "width": 0.18, "height": 0.09 },
+//                { "id": "face", "shape": "polygon", "points": [[0.4, 0.26], ...] }] }
+//   ]
+// }
+//
+// Relative src paths resolve against the app's public directory. fit is the
+// CSS object-fit the stimulus is drawn with (default contain). AOI coordinates
+// are normalized to the stimulus, so stimuli with AOIs need their natural
+// width and height.
+
+import { STIMULUS_FITS } from './coordinates'
+
+export const PROTOCOL_ORDERS = ['fixed', 'randomized', 'counterbalanced']
+export const DEFAULT_PROTOCOL_FILE = 'default.json'
+// Schedule ids of the fixation crosses are this prefix and a number
+export const FIXATION_ID_PREFIX = 'fixation-'
+
+const protocolUrl = (file) => `${import.meta.env.BASE_URL}protocols/${file}`
+
+const resolveSrc = (src) =>
+  /^(https?:|data:|blob:|\/)/.test(src) ? src : `${import.meta.env.BASE_URL}${src}`
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+
+const checkAoi = (aoi, where, problems) => {
+  if (!aoi?.id) {
+    problems.push(`${where}: AOI is missing an id`)
+  } else if (aoi.shape === 'polygon') {
+    if (!Array.isArray(aoi.points) || aoi.points.length < 3) {
+      problems.push(`${where}: polygon AOI "${aoi.id}" needs at least 3 points`)
+    }
+  } else if (aoi.shape === 'rect') {
+    if (![aoi.x, aoi.y, aoi.width, aoi.height].every((value) => typeof value === 'number')) {
+      problems.push(`${where}: rect AOI "${aoi.id}" needs x, y, width and height`)
+    }
+  } else {
+    problems.push(`${where}: AOI "${aoi.id}" has unknown shape "${aoi.shape}"`)
+  }
+}
+
+// Checks a parsed protocol and fills in defaults. Throws with one line per
+// problem so the whole file can be fixed in one go.
+export const parseProtocol = (json) => {
+  const problems = []
+  if (!json || typeof json !== 'object') {
+    throw new Error('Invalid protocol: expected a JSON object')
+  }
+  if (!json.name) {
+    problems.push('Protocol is missing a name')
+  }
+  if (!json.version) {
+    problems.push('Protocol is missing a version')
+  }
+  const order = json.order ?? 'fixed'
+  if (!PROTOCOL_ORDERS.includes(order)) {
+    problems.push(`Unknown order "${order}" (expected ${PROTOCOL_ORDERS.join(', ')})`)
+  }
+  if (json.fixationCross && !isPositive(json.fixationCross.durationMs)) {
+    problems.push('fixationCross.durationMs must be a positive number of milliseconds')
+  }
+  if (!Array.isArray(json.stimuli) || !json.stimuli.length) {
+    problems.push('Protocol must list at least one stimulus')
+  }
+
+  const seen = new Set()
+  const stimuli = (Array.isArray(json.stimuli) ? json.stimuli : []).map((stimulus, index) => {
+    const where = `Stimulus ${index + 1}${stimulus?.id ? ` ("${stimulus.id}")` : ''}`
+    if (!stimulus?.id) {
+      problems.push(`${where}: missing id`)
+    } else if (seen.has(stimulus.id)) {
+      problems.push(`${where}: duplicate id`)
+    }
+    seen.add(stimulus?.id)
+    const type = stimulus?.type ?? 'image'
+    if (type !== 'image' && type !== 'video') {
+      problems.push(`${where}: unknown type "${type}"`)
+    }
+    if (!stimulus?.src) {
+      problems.push(`${where}: missing src`)
+    }
+    if (!isPositive(stimulus?.durationMs)) {
+      problems.push(`${where}: durationMs must be a positive number of milliseconds`)
+    }
+    const fit = stimulus?.fit ?? 'contain'
+    if (!STIMULUS_FITS.includes(fit)) {
+      problems.push(`${where}: unknown fit "${fit}" (expected ${STIMULUS_FITS.join(', ')})`)
+    }
+    const aois = Array.isArray(stimulus?.aois) ? stimulus.aois : []
+    if (aois.length && !(isPositive(stimulus.width) && isPositive(stimulus.height))) {
+      problems.push(`${where}: width and height are required when AOIs are defined`)
+    }
+    aois.forEach((aoi) => checkAoi(aoi, where, problems))
+    return {
+      ...stimulus,
+      type,
+      fit,
+      name: stimulus?.name ?? stimulus?.id,
+      src: stimulus?.src ? resolveSrc(stimulus.src) : '',
+      aois: aois.map((aoi) => ({ ...aoi, label: aoi.label ?? aoi.id })),
+    }
+  })
+
+  if (problems.length) {
+    throw new Error(['Invalid protocol:', ...problems].join('\n'))
+  }
+  return {
+    name: json.name,
+    version: String(json.version),
+    order,
+    fixationCross: json.fixationCross ?? null,
+    stimuli,
+  }
+}
+
+const fetchJson = async (url) => {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`)
+  }
+  return response.json()
+}
+
+// [{ file, name }] from public/protocols/index.json
+export const loadProtocolIndex = () => fetchJson(protocolUrl('index.json'))
+
+export const loadProtocol = async (file) => parseProtocol(await fetchJson(protocolUrl(file)))
+
+export const readProtocolFile = async (file) => {
+  let json
+  try {
+    json = JSON.parse(await file.text())
+  } catch (err) {
+    throw new Error(`${file.name} is not valid JSON: ${err.message}`)
+  }
+  return parseProtocol(json)
+}
+
+const shuffle = (items, random) => {
+  const result = items.slice()
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const swap = result[i]
+    result[i] = result[j]
+    result[j] = swap
+  }
+  return result
+}
+
+// Row of a balanced Latin square (Williams design): across participants each
+// stimulus appears in every position and follows every other stimulus equally
+// often. Odd-length sets alternate with the reversed row.
+const balancedLatinSquareRow = (items, row) => {
+  const result = []
+  for (let i = 0, j = 0, h = 0; i < items.length; i++) {
+    let value
+    if (i < 2 || i % 2 !== 0) {
+      value = j
+      j += 1
+    } else {
+      value = items.length - h - 1
+      h += 1
+    }
+    result.push(items[(value + row) % items.length])
+  }
+  return items.length % 2 !== 0 && row % 2 !== 0 ? result.reverse() : result
+}
+
+// Timeline of the recording: stimuli in presentation order, with fixation
+// crosses between them. counterbalanceSlot is the participant's 1-based slot
+// for counterbalanced protocols.
+export const buildStimulusSchedule = (protocol, { counterbalanceSlot = 1, random = Math.random } = {}) => {
+  const ordered =
+    protocol.order === 'randomized'
+      ? shuffle(protocol.stimuli, random)
+      : protocol.order === 'counterbalanced'
+        ? balancedLatinSquareRow(protocol.stimuli, Math.max(0, counterbalanceSlot - 1))
+        : protocol.stimuli
+
+  const schedule = []
+  let time = 0
+  ordered.forEach((stimulus, index) => {
+    if (index > 0 && protocol.fixationCross) {
+      schedule.push({
+        id: `${FIXATION_ID_PREFIX}${index}`,
+        type: 'fixation',
+        name: 'Fixation cross',
+        aois: [],
+        onsetMs: time,
+        offsetMs: time + protocol.fixationCross.durationMs,
+      })
+      time += protocol.fixationCross.durationMs
+    }
+    schedule.push({ ...stimulus, onsetMs: time, offsetMs: time + stimulus.durationMs })
+    time += stimulus.durationMs
+  })
+  return schedule
+}
+
+export const scheduleDurationMs = (schedule) =>
+  schedule.length ? schedule[schedule.length - 1].offsetMs : 0
+
+// Length of a recording with this protocol; the same for every order
+export const protocolDurationMs = (protocol) =>
+  protocol.stimuli.reduce((acc, stimulus) => acc + stimulus.durationMs, 0) +
+  (protocol.fixationCross ? protocol.fixationCross.durationMs * (protocol.stimuli.length - 1) : 0)
+
+// Index of the schedule entry on screen at a time since the start of the recording
+export const scheduleIndexAt = (schedule, timeMs) => {
+  const index = schedule.findIndex((entry) => timeMs < entry.offsetMs)
+  return index === -1 ? schedule.length - 1 : index
+}
@@ -0,0 +1,61 @@
+// Playback of a recorded session: the sample on screen at a replay time, the
+// eye-movement state of each stretch of the recording for the timeline strip,
+// and the points where the stimulus changed.
+
+import { detectEvents } from './eventDetection'
+import { FIXATION_ID_PREFIX } from './protocol'
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4]
+
+export const replayDurationMs = (samples) =>
+  samples.length ? samples[samples.length - 1].recordingTimeMs : 0
+
+// Last sample recorded at or before timeMs (binary search; samples are in
+// recording order)
+export const sampleIndexAt = (samples, timeMs) => {
+  let low = 0
+  let high = samples.length - 1
+  let found = 0
+  while (low <= high) {
+    const mid = (low + high) >> 1
+    if (samples[mid].recordingTimeMs <= timeMs) {
+      found = mid
+      low = mid + 1
+    } else {
+      high = mid - 1
+    }
+  }
+  return found
+}
+
+// Time spans of the detected fixations, saccades and blinks, sorted by onset
+export const buildReplaySegments = (samples, eventOptions) => {
+  const events = detectEvents(samples, eventOptions)
+  const span = (state) => (event) => ({ state, startMs: event.onsetMs, endMs: event.offsetMs })
+  return [
+    ...events.fixations.map(span('fixation')),
+    ...events.saccades.map(span('saccade')),
+    ...events.blinks.map(span('blink')),
+  ].sort((a, b) => a.startMs - b.startMs)
+}
+
+// Where a new stimulus (or fixation cross) appears, including the first
+export const findStimulusChanges = (samples) =>
+  samples
+    .filter((sample, index) => index === 0 || sample.stimulusId !== samples[index - 1].stimulusId)
+    .map((sample) => ({ timeMs: sample.recordingTimeMs, stimulusId: sample.stimulusId }))
+
+// What was on screen for a sample: the matching protocol stimulus, a fixation
+// cross, or null when the stimulus is not in the protocol at hand
+export const resolveReplayStimulus = (stimulusId, stimuli) => {
+  if (!stimulusId) {
+    return null
+  }
+  const stimulus = stimuli.find((entry) => entry.id === stimulusId)
+  if (stimulus) {
+    return stimulus
+  }
+  return stimulusId.startsWith(FIXATION_ID_PREFIX)
+    ? { id: stimulusId, type: 'fixation', name: 'Fixation cross' }
+    : null
+}
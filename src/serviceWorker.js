@@ -0,0 +1,101 @@
+// Service worker for offline sessions. The build (see vite.config.js) emits
+// it as sw.js, prefixed with
+//
+//   self.__PRECACHE__ = { version, urls, runtimeVersion, runtimeUrls }
+//
+// where urls are the app shell, the built scripts and styles, the FaceMesh
+// loader, model and graph files and everything in public/ (protocols,
+// stimuli, the model and scaler_params.json). All of them are cached on
+// install. runtimeUrls are the SIMD and non-SIMD FaceMesh wasm builds, of
+// which a client only ever loads one; it is cached in a cache of its own the
+// first time FaceMesh fetches it, so a calibration-to-prediction session
+// works without a network once tracking has been started online. Each
+// version changes whenever any of its files does, and activating a new
+// version drops the caches of older ones.
+//
+// Page navigations go to the network first and fall back to the cached app
+// shell; other same-origin requests are served from the cache first. Requests
+// to other origins (the remote prediction API, an interpretation endpoint) are left alone.
+
+const { version, urls, runtimeVersion, runtimeUrls } = self.__PRECACHE__ ?? {
+  version: 'dev',
+  urls: [],
+  runtimeVersion: 'dev',
+  runtimeUrls: [],
+}
+const CACHE_PREFIX = 'neurogaze-'
+const CACHE_NAME = `${CACHE_PREFIX}${version}`
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime-${runtimeVersion}`
+const RUNTIME_URLS = new Set(runtimeUrls.map((url) => new URL(url, self.location).href))
+const SHELL_URL = new URL('./', self.location).href
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(urls))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME && name !== RUNTIME_CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+const fromNetworkFirst = async (request) => {
+  try {
+    const response = await fetch(request)
+    if (response.status === 200) {
+      const cache = await caches.open(CACHE_NAME)
+      await cache.put(SHELL_URL, response.clone())
+    }
+    return response
+  } catch (err) {
+    const cached = await caches.match(SHELL_URL)
+    if (cached) {
+      return cached
+    }
+    throw err
+  }
+}
+
+// Files fetched at runtime that were not precached (e.g. a stimulus added to
+// public/ after the build) are kept for the next offline session
+const fromCacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request)
+  if (cached) {
+    return cached
+  }
+  const response = await fetch(request)
+  // Partial (206) responses to range requests cannot be cached
+  if (response.status === 200 && response.type === 'basic') {
+    const cache = await caches.open(cacheName)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return
+  }
+  if (request.mode === 'navigate') {
+    event.respondWith(fromNetworkFirst(request))
+    return
+  }
+  url.search = ''
+  event.respondWith(fromCacheFirst(request, RUNTIME_URLS.has(url.href) ? RUNTIME_CACHE_NAME : CACHE_NAME))
+})
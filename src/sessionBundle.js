@@ -0,0 +1,160 @@
+// Portable session bundles: one JSON file with everything needed to move a
+// recording between machines or hand it to the data team.
+//
+// { format: 'neurogaze-session', bundleVersion: 2, exportedAt,
+//   app: { version, featureSchemaVersion },
+//   session: { id, startedAt, participant: { age, gender }, protocol, schedule,
+//              calibration: { models }, eventDetection, gazeFilter, gapFill,
+//              blinkBaseline, samples, blinks, predictionBackend, prediction,
+//              summary },
+//   features: { aggregated, aoiMetrics, stimulusBlocks, dataLoss } }
+//
+// features is a snapshot of what the exporting app computed. Importers
+// recompute features from the raw samples, so a bundle picks up newer
+// extraction logic; the snapshot is only there for comparison.
+//
+// Version history:
+//   1  samples were only recorded with a face in view, and an eye without a
+//      gaze point was written as 0, 0
+//   2  samples carry faceDetected, validLeft and validRight, and missing gaze
+//      is null (see missingData.js)
+
+import { buildExportFilename } from './csvExport.js'
+import { DEFAULT_EVENT_DETECTION } from './eventDetection.js'
+import { FEATURE_SCHEMA_VERSION } from './featureSchema.js'
+import { DEFAULT_GAP_FILL, flagMissingGaze } from './missingData.js'
+
+export const BUNDLE_FORMAT = 'neurogaze-session'
+export const BUNDLE_VERSION = 2
+
+// Session record fields (see sessionStore.js) that travel in a bundle; the
+// derived features travel separately
+const SESSION_FIELDS = [
+  'id',
+  'startedAt',
+  'participant',
+  'protocol',
+  'schedule',
+  'calibration',
+  'eventDetection',
+  'gazeFilter',
+  'gapFill',
+  'blinkBaseline',
+  'samples',
+  'blinks',
+  'predictionBackend',
+  'prediction',
+  'summary',
+]
+
+export const buildSessionBundle = (record, { appVersion = 'unknown' } = {}) => ({
+  format: BUNDLE_FORMAT,
+  bundleVersion: BUNDLE_VERSION,
+  exportedAt: new Date().toISOString(),
+  app: { version: appVersion, featureSchemaVersion: FEATURE_SCHEMA_VERSION },
+  session: Object.fromEntries(SESSION_FIELDS.map((field) => [field, record[field] ?? null])),
+  features: {
+    aggregated: record.features ?? null,
+    aoiMetrics: record.aoiMetrics ?? null,
+    stimulusBlocks: record.stimulusBlocks ?? null,
+    dataLoss: record.dataLoss ?? null,
+  },
+})
+
+export const serializeSessionBundle = (bundle) => JSON.stringify(bundle)
+
+export const createSessionBundleDownload = (record, options) => ({
+  url: URL.createObjectURL(
+    new Blob([serializeSessionBundle(buildSessionBundle(record, options))], { type: 'application/json' })
+  ),
+  filename: buildExportFilename('session', { ...record.participant, startedAt: record.startedAt }, 'json'),
+})
+
+// Upgrades a bundle of version n to n + 1. Add a step here whenever
+// BUNDLE_VERSION is raised; bundles from any earlier version are walked up
+// the chain on import.
+const MIGRATIONS = {
+  1: (bundle) => ({
+    ...bundle,
+    session: {
+      ...bundle.session,
+      samples: Array.isArray(bundle.session?.samples) ? bundle.session.samples.map(flagMissingGaze) : [],
+    },
+  }),
+}
+
+export const migrateSessionBundle = (bundle) => {
+  let migrated = bundle
+  while (migrated.bundleVersion < BUNDLE_VERSION) {
+    const migrate = MIGRATIONS[migrated.bundleVersion]
+    if (!migrate) {
+      throw new Error(`Session bundle version ${migrated.bundleVersion} can no longer be read`)
+    }
+    migrated = { ...migrate(migrated), bundleVersion: migrated.bundleVersion + 1 }
+  }
+  return migrated
+}
+
+// Checks a parsed bundle, migrates it to the current version and returns the
+// session part. Throws with one line per problem.
+export const parseSessionBundle = (json) => {
+  if (!json || typeof json !== 'object' || json.format !== BUNDLE_FORMAT) {
+    throw new Error('Invalid session bundle: not a Neurogaze session file')
+  }
+  if (json.bundleVersion == null) {
+    throw new Error('Invalid session bundle: missing bundleVersion')
+  }
+  if (!Number.isInteger(json.bundleVersion) || json.bundleVersion < 1) {
+    throw new Error(`Invalid session bundle: unknown bundleVersion ${JSON.stringify(json.bundleVersion)}`)
+  }
+  if (json.bundleVersion > BUNDLE_VERSION) {
+    throw new Error(
+      `Session bundle version ${json.bundleVersion} is newer than this app supports (${BUNDLE_VERSION}); update the app to open it`
+    )
+  }
+
+  const bundle = migrateSessionBundle(json)
+  const session = bundle.session ?? {}
+  const problems = []
+  if (!session.id) {
+    problems.push('Session is missing an id')
+  }
+  if (!session.startedAt) {
+    problems.push('Session is missing startedAt')
+  }
+  if (!session.participant || session.participant.age == null || !session.participant.gender) {
+    problems.push('Session is missing the participant age and gender')
+  }
+  if (!Array.isArray(session.samples) || !session.samples.length) {
+    problems.push('Session has no samples')
+  } else if (!session.samples.every((sample) => Number.isFinite(sample?.recordingTimeMs))) {
+    problems.push('Every sample needs a recordingTimeMs')
+  }
+  if (!Array.isArray(session.schedule)) {
+    problems.push('Session is missing its stimulus schedule')
+  }
+  if (problems.length) {
+    throw new Error(['Invalid session bundle:', ...problems].join('\n'))
+  }
+
+  return {
+    ...session,
+    blinks: Array.isArray(session.blinks) ? session.blinks : [],
+    eventDetection: { ...DEFAULT_EVENT_DETECTION, ...session.eventDetection },
+    gapFill: { ...DEFAULT_GAP_FILL, ...session.gapFill },
+    prediction: session.prediction ?? { result: null, error: null },
+    summary: session.summary ?? { content: null, error: null, provider: null },
+    // Where the bundle came from, for the record
+    importedFrom: { bundleVersion: json.bundleVersion, app: json.app ?? null },
+  }
+}
+
+export const readSessionBundleFile = async (file) => {
+  let json
+  try {
+    json = JSON.parse(await file.text())
+  } catch (err) {
+    throw new Error(`${file.name} is not valid JSON: ${err.message}`)
+  }
+  return parseSessionBundle(json)
+}
@@ -0,0 +1,145 @@
+// Local history of completed assessments, kept in the browser's IndexedDB so
+// sessions survive a reset or reload. One record per recording, keyed by id:
+//
+// { id, startedAt, savedAt, participant: { age, gender },
+//   protocol, schedule, calibration: { models }, eventDetection, gazeFilter,
+//   gapFill, blinkBaseline, samples, blinks, features, aoiMetrics,
+//   stimulusBlocks, dataLoss, fixations,
+//   prediction: { backend, result, error }, summary: { content, error, provider } }
+//
+// The prediction and summary arrive after the recording is saved and are
+// filled in with updateSession.
+//
+// Database versions:
+//   1  samples as recorded, missing gaze as 0, 0 before the validity flags
+//   2  samples saved under version 1 are given the flags (see missingData.js)
+
+import { flagMissingGaze } from './missingData'
+
+const DB_NAME = 'neurogaze'
+const DB_VERSION = 2
+const STORE_NAME = 'sessions'
+
+export const isSessionStoreAvailable = () => typeof indexedDB !== 'undefined'
+
+// Runs inside the upgrade transaction, which only completes once every
+// record has been rewritten
+const flagStoredSamples = (store) => {
+  const cursorRequest = store.openCursor()
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result
+    if (!cursor) {
+      return
+    }
+    const session = cursor.value
+    if (Array.isArray(session.samples)) {
+      cursor.update({ ...session, samples: session.samples.map(flagMissingGaze) })
+    }
+    cursor.continue()
+  }
+}
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = ({ oldVersion }) => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id' }).createIndex('startedAt', 'startedAt')
+      }
+      if (oldVersion >= 1 && oldVersion < 2) {
+        flagStoredSamples(request.transaction.objectStore(STORE_NAME))
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+// Runs operate(store) in one transaction and resolves with the result of the
+// request it returns, once the transaction has committed
+const withStore = async (mode, operate) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = operate(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => {
+      db.close()
+      resolve(request?.result)
+    }
+    transaction.onerror = () => {
+      db.close()
+      reject(transaction.error)
+    }
+    transaction.onabort = () => {
+      db.close()
+      reject(transaction.error ?? new Error('Session store transaction was aborted'))
+    }
+  })
+}
+
+export const createSessionId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+
+export const saveSession = (session) =>
+  withStore('readwrite', (store) => store.put({ ...session, savedAt: new Date().toISOString() }))
+
+// Merges changes into a saved session; a session deleted in the meantime is
+// left deleted
+export const updateSession = (id, changes) =>
+  withStore('readwrite', (store) => {
+    const request = store.get(id)
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, ...changes, savedAt: new Date().toISOString() })
+      }
+    }
+    return request
+  })
+
+export const getSession = (id) => withStore('readonly', (store) => store.get(id))
+
+export const deleteSession = (id) => withStore('readwrite', (store) => store.delete(id))
+
+// What the history list shows, without the samples
+export const summarizeSession = (session) => ({
+  id: session.id,
+  startedAt: session.startedAt,
+  savedAt: session.savedAt,
+  age: session.participant?.age ?? '',
+  gender: session.participant?.gender ?? '',
+  protocolName: session.protocol?.name ?? '',
+  sampleCount: session.samples?.length ?? 0,
+  prediction: session.prediction?.result?.prediction ?? null,
+  confidence: session.prediction?.result?.confidence ?? null,
+})
+
+// Newest first
+export const listSessions = async () => {
+  const sessions = await withStore('readonly', (store) => store.getAll())
+  return sessions
+    .map(summarizeSession)
+    .sort((a, b) => (a.startedAt < b.startedAt ? 1 : a.startedAt > b.startedAt ? -1 : 0))
+}
+
+// Case-insensitive match of every word against the summary's fields
+export const matchesSessionSearch = (summary, query) => {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean)
+  if (!words.length) {
+    return true
+  }
+  const haystack = [
+    summary.id,
+    summary.startedAt,
+    `age ${summary.age}`,
+    summary.gender,
+    summary.protocolName,
+    summary.prediction,
+    summary.confidence,
+  ]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+  return words.every((word) => haystack.includes(word))
+}
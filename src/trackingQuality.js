@@ -0,0 +1,61 @@
+// Live data-quality checks on the tracking stream. A warning is raised when
+// its condition starts and again only after the condition has cleared, so a
+// child who keeps leaning out of view produces one warning per episode.
+//
+// Warnings: { code, message, value }
+//   face-lost           no face for faceLostMs (value: ms without a face)
+//   low-tracking-ratio  share of frames with a face below minTrackingRatio (%)
+//   head-distance       head outside the distance range (mm)
+//   head-rotation       head turned or tilted past maxHeadRotationDeg (°)
+
+export const QUALITY_LIMITS = {
+  faceLostMs: 1000,
+  minTrackingRatio: 80,
+  minHeadDistanceMm: 350,
+  maxHeadDistanceMm: 900,
+  maxHeadRotationDeg: 25,
+}
+
+export const createQualityMonitor = () => ({ lastFaceMs: null, active: new Set() })
+
+// Called per frame with faceDetected, and with the live metrics whenever a
+// sample is taken; checks without their input keep their previous state.
+// Returns the warnings that started with this call.
+export const checkTrackingQuality = (monitor, { timeMs, faceDetected, metrics }, limits = QUALITY_LIMITS) => {
+  if (faceDetected || monitor.lastFaceMs === null) {
+    monitor.lastFaceMs = timeMs
+  }
+  const problems = {}
+  const faceLostMs = timeMs - monitor.lastFaceMs
+  problems['face-lost'] =
+    faceLostMs >= limits.faceLostMs ? { message: 'No face in view', value: Math.round(faceLostMs) } : null
+
+  if (metrics) {
+    problems['low-tracking-ratio'] =
+      metrics.trackingRatio < limits.minTrackingRatio
+        ? { message: `A face was found in only ${metrics.trackingRatio}% of frames`, value: metrics.trackingRatio }
+        : null
+    const distance = metrics.headDistanceMm
+    problems['head-distance'] =
+      distance != null && (distance < limits.minHeadDistanceMm || distance > limits.maxHeadDistanceMm)
+        ? {
+            message: distance < limits.minHeadDistanceMm ? 'Head too close to the camera' : 'Head too far from the camera',
+            value: distance,
+          }
+        : null
+    const rotation = Math.max(Math.abs(metrics.headYawDeg ?? 0), Math.abs(metrics.headPitchDeg ?? 0))
+    problems['head-rotation'] =
+      rotation > limits.maxHeadRotationDeg ? { message: 'Head turned away from the screen', value: rotation } : null
+  }
+
+  const raised = []
+  Object.entries(problems).forEach(([code, problem]) => {
+    if (!problem) {
+      monitor.active.delete(code)
+    } else if (!monitor.active.has(code)) {
+      monitor.active.add(code)
+      raised.push({ code, ...problem })
+    }
+  })
+  return raised
+}
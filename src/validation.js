@@ -0,0 +1,75 @@
+// Post-calibration validation. The participant looks at targets that were not
+// part of any calibration grid, and the calibrated gaze is scored per eye:
+// accuracy is the offset of the mean gaze from the target, precision the RMS
+// of sample-to-sample distances. Both are in percent of the viewer.
+
+const target = (x, y, label) => ({ x, y, label })
+
+export const VALIDATION_POINTS = [
+  target(0.4, 0.45, 'center-left'),
+  target(0.25, 0.25, 'top-left'),
+  target(0.75, 0.25, 'top-right'),
+  target(0.75, 0.75, 'bottom-right'),
+  target(0.25, 0.75, 'bottom-left'),
+]
+
+// Frames ignored while the eyes move onto a new target
+export const VALIDATION_SETTLE_FRAMES = 15
+export const VALIDATION_FRAMES_PER_POINT = 30
+
+export const DEFAULT_VALIDATION_THRESHOLDS = {
+  accuracy: 10,
+  precision: 5,
+}
+
+const scoreEye = (point, samples) => {
+  if (!samples.length) {
+    return null
+  }
+  const meanPoint = {
+    x: samples.reduce((acc, sample) => acc + sample.x, 0) / samples.length,
+    y: samples.reduce((acc, sample) => acc + sample.y, 0) / samples.length,
+  }
+  let squaredSum = 0
+  for (let i = 1; i < samples.length; i++) {
+    squaredSum +=
+      (samples[i].x - samples[i - 1].x) ** 2 + (samples[i].y - samples[i - 1].y) ** 2
+  }
+  return {
+    meanPoint,
+    accuracy: Math.hypot(meanPoint.x - point.x, meanPoint.y - point.y) * 100,
+    precision: samples.length > 1 ? Math.sqrt(squaredSum / (samples.length - 1)) * 100 : 0,
+  }
+}
+
+// samples: [{ left: {x, y} | null, right: {x, y} | null }] in calibrated coordinates
+export const scoreValidationTarget = (point, samples) => ({
+  target: point,
+  left: scoreEye(point, samples.map((sample) => sample.left).filter(Boolean)),
+  right: scoreEye(point, samples.map((sample) => sample.right).filter(Boolean)),
+})
+
+const averageScores = (results, eye) => {
+  const scores = results.map((result) => result[eye]).filter(Boolean)
+  if (!scores.length) {
+    return null
+  }
+  return {
+    accuracy: scores.reduce((acc, score) => acc + score.accuracy, 0) / scores.length,
+    precision: scores.reduce((acc, score) => acc + score.precision, 0) / scores.length,
+  }
+}
+
+export const summarizeValidation = (results) => ({
+  left: averageScores(results, 'left'),
+  right: averageScores(results, 'right'),
+})
+
+// Both eyes must have been measured and be within the operator's thresholds
+export const isValidationPassed = (summary, thresholds) =>
+  ['left', 'right'].every(
+    (eye) =>
+      summary[eye] &&
+      summary[eye].accuracy <= thresholds.accuracy &&
+      summary[eye].precision <= thresholds.precision
+  )
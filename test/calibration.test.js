@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+
+import {
+  applyCalibration,
+  CALIBRATION_GRIDS,
+  fitCalibrationModel,
+  summarizeCalibrationSamples,
+} from '../src/calibration.js'
+
+// A measured gaze estimate that is a tilted, shifted and scaled copy of the
+// target, as a head-pose compensated eye roughly is
+const measure = (target) => ({
+  x: 0.4 + 0.12 * target.x + 0.03 * target.y,
+  y: 0.35 - 0.02 * target.x + 0.1 * target.y,
+})
+
+const pairsFor = (grid) => grid.map((target) => ({ measured: measure(target), target, reliable: true }))
+
+const assertClose = (actual, expected, tolerance = 1e-3) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`)
+}
+
+describe('fitCalibrationModel', () => {
+  test('fits a second-order polynomial on the 9-point grid that maps every target back', () => {
+    const model = fitCalibrationModel(pairsFor(CALIBRATION_GRIDS[9]))
+    assert.equal(model.type, 'polynomial')
+    assert.equal(model.degree, 2)
+    assert.equal(model.pointCount, 9)
+    assert.deepEqual(model.rejectedPoints, [])
+    CALIBRATION_GRIDS[9].forEach((target) => {
+      const mapped = applyCalibration(model, measure(target))
+      assertClose(mapped.x, target.x)
+      assertClose(mapped.y, target.y)
+    })
+  })
+
+  test('falls back to a linear fit on the 5-point grid', () => {
+    const model = fitCalibrationModel(pairsFor(CALIBRATION_GRIDS[5]))
+    assert.equal(model.degree, 1)
+    assertClose(model.residualRms, 0)
+  })
+
+  test('rejects a target whose measurement is far off the others', () => {
+    const pairs = pairsFor(CALIBRATION_GRIDS[13])
+    const outlier = pairs.find((pair) => pair.target.label === 'inner top-right')
+    outlier.measured = { x: outlier.measured.x + 0.05, y: outlier.measured.y - 0.04 }
+
+    const model = fitCalibrationModel(pairs)
+    assert.deepEqual(model.rejectedPoints, ['inner top-right'])
+    assert.equal(model.pointCount, 12)
+    assertClose(model.residualRms, 0)
+  })
+
+  test('leaves out unreliable targets and stays uncalibrated with fewer than three', () => {
+    const pairs = pairsFor(CALIBRATION_GRIDS[5]).map((pair, index) => ({ ...pair, reliable: index < 2 }))
+    const model = fitCalibrationModel(pairs)
+    assert.equal(model.type, 'identity')
+    assert.deepEqual(model.rejectedPoints, ['top-right', 'bottom-left', 'bottom-right'])
+  })
+})
+
+describe('applyCalibration', () => {
+  test('passes points through without a fitted model', () => {
+    assert.deepEqual(applyCalibration({ type: 'identity' }, { x: 0.3, y: 0.6 }), { x: 0.3, y: 0.6 })
+    assert.equal(applyCalibration({ type: 'identity' }, null), null)
+  })
+
+  test('clamps mapped points to the viewer', () => {
+    const model = fitCalibrationModel(pairsFor(CALIBRATION_GRIDS[9]))
+    const mapped = applyCalibration(model, measure({ x: 1.5, y: -0.5 }))
+    assert.equal(mapped.x, 1)
+    assert.equal(mapped.y, 0)
+  })
+})
+
+describe('summarizeCalibrationSamples', () => {
+  test('averages the samples of a target after dropping glances away', () => {
+    const samples = [0.5, 0.501, 0.499, 0.5, 0.502, 0.498].map((x) => ({ gaze: { x, y: 0.4 } }))
+    samples.push({ gaze: { x: 0.9, y: 0.9 } }, { gaze: null })
+
+    const summary = summarizeCalibrationSamples(samples, 'gaze')
+    assert.equal(summary.rejectedSamples, 1)
+    assert.equal(summary.reliable, true)
+    assertClose(summary.point.x, 0.5)
+    assertClose(summary.point.y, 0.4)
+  })
+
+  test('has nothing to summarize without a gaze estimate', () => {
+    assert.equal(summarizeCalibrationSamples([{ gaze: null }], 'gaze'), null)
+  })
+})
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+
+import { classifySample, detectEvents } from '../src/eventDetection.js'
+
+const SAMPLE_INTERVAL_MS = 20
+
+// One sample per SAMPLE_INTERVAL_MS with both eyes at the same point
+const sample = (index, x, y, extra = {}) => ({
+  recordingTimeMs: index * SAMPLE_INTERVAL_MS,
+  pointOfRegardLeftX: x,
+  pointOfRegardLeftY: y,
+  pointOfRegardRightX: x,
+  pointOfRegardRightY: y,
+  ...extra,
+})
+
+// Two 200 ms fixations joined by a 40 ms saccade of 600 px
+const twoFixations = () => [
+  ...Array.from({ length: 10 }, (_, index) => sample(index, 100 + (index % 2), 200)),
+  sample(10, 400, 200),
+  ...Array.from({ length: 10 }, (_, index) => sample(11 + index, 700 + (index % 2), 200)),
+]
+
+describe('detectEvents with I-VT', () => {
+  test('splits fixations at samples faster than the velocity threshold', () => {
+    const { algorithm, fixations, saccades } = detectEvents(twoFixations())
+    assert.equal(algorithm, 'ivt')
+    // Sample 11 is reached at saccadic speed, so the second fixation starts after it
+    assert.deepEqual(
+      fixations.map(({ startIndex, endIndex }) => [startIndex, endIndex]),
+      [[0, 9], [12, 20]]
+    )
+    assert.equal(fixations[0].durationMs, 180)
+    assert.equal(saccades.length, 1)
+    assert.equal(saccades[0].startIndex, 9)
+    assert.equal(saccades[0].endIndex, 11)
+    assert.equal(saccades[0].amplitude, 599)
+  })
+
+  test('drops fixations shorter than the minimum duration', () => {
+    const { fixations } = detectEvents(twoFixations(), { minFixationDurationMs: 200 })
+    assert.equal(fixations.length, 0)
+  })
+})
+
+describe('detectEvents with I-DT', () => {
+  test('grows fixation windows while the dispersion stays under the threshold', () => {
+    const { algorithm, fixations, saccades } = detectEvents(twoFixations(), { algorithm: 'idt' })
+    assert.equal(algorithm, 'idt')
+    assert.deepEqual(
+      fixations.map(({ startIndex, endIndex }) => [startIndex, endIndex]),
+      [[0, 9], [11, 20]]
+    )
+    assert.equal(saccades.length, 1)
+    assert.equal(saccades[0].startIndex, 9)
+    assert.equal(saccades[0].endIndex, 11)
+  })
+
+  test('finds no fixation when the gaze never settles', () => {
+    const drifting = Array.from({ length: 20 }, (_, index) => sample(index, index * 30, 200))
+    assert.equal(detectEvents(drifting, { algorithm: 'idt' }).fixations.length, 0)
+  })
+})
+
+describe('detectEvents blinks and missing gaze', () => {
+  test('reports blink runs and breaks fixations around them', () => {
+    const samples = twoFixations().slice(0, 10)
+    samples.splice(5, 0, ...[0, 1, 2].map(() => sample(0, 100, 200, { blink: true })))
+    samples.forEach((entry, index) => {
+      entry.recordingTimeMs = index * SAMPLE_INTERVAL_MS
+    })
+
+    const { fixations, blinks } = detectEvents(samples, { minFixationDurationMs: 60 })
+    assert.deepEqual(blinks, [
+      { type: 'blink', startIndex: 5, endIndex: 7, onsetMs: 100, offsetMs: 160, durationMs: 60 },
+    ])
+    assert.deepEqual(
+      fixations.map(({ startIndex, endIndex }) => [startIndex, endIndex]),
+      [[0, 4], [8, 12]]
+    )
+  })
+
+  test('uses the one eye that has gaze and skips samples without any', () => {
+    const samples = [
+      sample(0, 100, 200),
+      { ...sample(1, 100, 200), pointOfRegardLeftX: null, pointOfRegardLeftY: null },
+      { recordingTimeMs: 2 * SAMPLE_INTERVAL_MS },
+      ...Array.from({ length: 8 }, (_, index) => sample(3 + index, 100, 200)),
+    ]
+    const { fixations } = detectEvents(samples)
+    assert.deepEqual(
+      fixations.map(({ startIndex, endIndex }) => [startIndex, endIndex]),
+      [[3, 10]]
+    )
+  })
+})
+
+describe('classifySample', () => {
+  test('labels live samples by velocity, with blinks first', () => {
+    assert.equal(classifySample(50, false, 300), 'Fixation')
+    assert.equal(classifySample(500, false, 300), 'Saccade')
+    assert.equal(classifySample(50, true, 300), 'Blink')
+  })
+})
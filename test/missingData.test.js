@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+
+import { fillGazeGaps, flagMissingGaze, hasUsableGaze, summarizeDataLoss } from '../src/missingData.js'
+
+const measured = (recordingTimeMs, x, extra = {}) => ({
+  recordingTimeMs,
+  stimulusId: 'portrait',
+  faceDetected: true,
+  validLeft: true,
+  validRight: true,
+  pointOfRegardLeftX: x,
+  pointOfRegardLeftY: 100,
+  pointOfRegardRightX: x,
+  pointOfRegardRightY: 100,
+  stimulusLeftX: x / 1000,
+  stimulusLeftY: 0.1,
+  stimulusRightX: x / 1000,
+  stimulusRightY: 0.1,
+  ...extra,
+})
+
+const lost = (recordingTimeMs, extra = {}) => ({
+  recordingTimeMs,
+  stimulusId: 'portrait',
+  faceDetected: false,
+  validLeft: false,
+  validRight: false,
+  pointOfRegardLeftX: null,
+  pointOfRegardLeftY: null,
+  pointOfRegardRightX: null,
+  pointOfRegardRightY: null,
+  stimulusLeftX: null,
+  stimulusLeftY: null,
+  stimulusRightX: null,
+  stimulusRightY: null,
+  ...extra,
+})
+
+describe('fillGazeGaps', () => {
+  test('interpolates a gap no longer than maxGapMs', () => {
+    const filled = fillGazeGaps([measured(0, 100), lost(50), lost(100), measured(150, 400)])
+    assert.equal(filled[1].pointOfRegardLeftX, 200)
+    assert.equal(filled[2].pointOfRegardRightX, 300)
+    assert.ok(Math.abs(filled[2].stimulusLeftX - 0.3) < 1e-9)
+    assert.equal(filled[1].interpolatedLeft, true)
+    assert.equal(filled[1].interpolatedRight, true)
+    assert.ok(filled.every((sample) => hasUsableGaze(sample, 'Left')))
+  })
+
+  test('leaves longer gaps empty', () => {
+    const samples = [measured(0, 100), lost(100), lost(200), measured(300, 400)]
+    const filled = fillGazeGaps(samples, { maxGapMs: 200 })
+    assert.equal(filled[1].pointOfRegardLeftX, null)
+    assert.equal(filled[1].interpolatedLeft, undefined)
+    assert.equal(fillGazeGaps(samples, { maxGapMs: 300 })[1].pointOfRegardLeftX, 200)
+  })
+
+  test('fills each eye on its own', () => {
+    const oneEye = { ...measured(50, 0), validLeft: false, pointOfRegardLeftX: null, pointOfRegardLeftY: null }
+    const filled = fillGazeGaps([measured(0, 100), oneEye, measured(100, 300)])
+    assert.equal(filled[1].pointOfRegardLeftX, 200)
+    assert.equal(filled[1].interpolatedLeft, true)
+    assert.equal(filled[1].pointOfRegardRightX, 0)
+    assert.equal(filled[1].interpolatedRight, undefined)
+  })
+
+  test('does not carry stimulus coordinates across a stimulus change', () => {
+    const filled = fillGazeGaps([
+      measured(0, 100),
+      lost(50),
+      measured(100, 300, { stimulusId: 'toys' }),
+    ])
+    assert.equal(filled[1].pointOfRegardLeftX, 200)
+    assert.equal(filled[1].stimulusLeftX, null)
+  })
+
+  test('does not fill before the first or after the last valid sample', () => {
+    const filled = fillGazeGaps([lost(0), measured(50, 100), lost(100)])
+    assert.equal(filled[0].pointOfRegardLeftX, null)
+    assert.equal(filled[2].pointOfRegardLeftX, null)
+  })
+})
+
+describe('summarizeDataLoss', () => {
+  test('reports missing gaze before filling and data loss after it', () => {
+    const samples = [measured(0, 100), lost(50), measured(100, 300), lost(400), lost(450), measured(500, 100)]
+    const dataLoss = summarizeDataLoss(samples, fillGazeGaps(samples))
+    assert.deepEqual(dataLoss, {
+      sampleCount: 6,
+      noFacePercent: 50,
+      leftMissingPercent: 50,
+      rightMissingPercent: 50,
+      interpolatedPercent: 16.67,
+      dataLossPercent: 33.33,
+    })
+  })
+})
+
+describe('flagMissingGaze', () => {
+  test('empties an eye recorded at 0, 0 before the flags existed', () => {
+    const flagged = flagMissingGaze({
+      recordingTimeMs: 0,
+      pointOfRegardLeftX: 0,
+      pointOfRegardLeftY: 0,
+      rawPointOfRegardLeftX: 0,
+      rawPointOfRegardLeftY: 0,
+      viewerLeftX: -0.2,
+      viewerLeftY: -0.1,
+      pointOfRegardRightX: 320,
+      pointOfRegardRightY: 240,
+    })
+    assert.equal(flagged.faceDetected, true)
+    assert.equal(flagged.validLeft, false)
+    assert.equal(flagged.validRight, true)
+    assert.equal(flagged.pointOfRegardLeftX, null)
+    assert.equal(flagged.rawPointOfRegardLeftY, null)
+    assert.equal(flagged.viewerLeftX, null)
+    assert.equal(flagged.pointOfRegardRightX, 320)
+  })
+
+  test('leaves samples that already have the flags unchanged', () => {
+    const sample = lost(0)
+    assert.equal(flagMissingGaze(sample), sample)
+  })
+})
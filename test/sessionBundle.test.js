@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+
+import { BUNDLE_FORMAT, BUNDLE_VERSION, buildSessionBundle, parseSessionBundle } from '../src/sessionBundle.js'
+
+const session = (samples) => ({
+  id: 'session-1',
+  startedAt: '2026-01-05T10:00:00.000Z',
+  participant: { age: 6.5, gender: 'F' },
+  schedule: [],
+  samples,
+})
+
+const bundleOf = (bundleVersion, samples) => ({
+  format: BUNDLE_FORMAT,
+  bundleVersion,
+  exportedAt: '2026-01-05T10:01:00.000Z',
+  app: { version: '0.0.0' },
+  session: session(samples),
+})
+
+describe('parseSessionBundle', () => {
+  test('migrates version 1 samples to flagged missing gaze', () => {
+    const parsed = parseSessionBundle(
+      bundleOf(1, [
+        { recordingTimeMs: 0, pointOfRegardLeftX: 0, pointOfRegardLeftY: 0, pointOfRegardRightX: 300, pointOfRegardRightY: 200 },
+        { recordingTimeMs: 33, pointOfRegardLeftX: 310, pointOfRegardLeftY: 205, pointOfRegardRightX: 300, pointOfRegardRightY: 200 },
+      ])
+    )
+    assert.deepEqual(
+      parsed.samples.map(({ faceDetected, validLeft, validRight, pointOfRegardLeftX }) => [
+        faceDetected,
+        validLeft,
+        validRight,
+        pointOfRegardLeftX,
+      ]),
+      [
+        [true, false, true, null],
+        [true, true, true, 310],
+      ]
+    )
+    assert.equal(parsed.importedFrom.bundleVersion, 1)
+  })
+
+  test('reads current bundles as exported', () => {
+    const samples = [
+      { recordingTimeMs: 0, faceDetected: false, validLeft: false, validRight: false, pointOfRegardLeftX: null },
+      { recordingTimeMs: 33, faceDetected: true, validLeft: true, validRight: true, pointOfRegardLeftX: 0 },
+    ]
+    const bundle = JSON.parse(JSON.stringify(buildSessionBundle(session(samples))))
+    assert.equal(bundle.bundleVersion, BUNDLE_VERSION)
+    assert.deepEqual(parseSessionBundle(bundle).samples, samples)
+  })
+
+  test('rejects bundles with a missing, unknown or newer version', () => {
+    const samples = [{ recordingTimeMs: 0 }]
+    assert.throws(() => parseSessionBundle(bundleOf(undefined, samples)), /missing bundleVersion/)
+    assert.throws(() => parseSessionBundle(bundleOf('2', samples)), /unknown bundleVersion "2"/)
+    assert.throws(() => parseSessionBundle(bundleOf(0, samples)), /unknown bundleVersion 0/)
+    assert.throws(() => parseSessionBundle(bundleOf(BUNDLE_VERSION + 1, samples)), /newer than this app supports/)
+  })
+
+  test('lists every problem with the session', () => {
+    assert.throws(
+      () => parseSessionBundle({ ...bundleOf(BUNDLE_VERSION, []), session: { samples: [] } }),
+      (err) => err.message.split('\n').length === 6
+    )
+    assert.throws(() => parseSessionBundle({ bundleVersion: 1 }), /not a Neurogaze session file/)
+  })
+})
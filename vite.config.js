@@ -1,7 +1,136 @@
+import { createHash } from 'node:crypto'
+import { createReadStream, readdirSync, readFileSync, statSync } from 'node:fs'
+import { extname, join, relative } from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'))
+
+// FaceMesh loads these at runtime through locateFile (see DEFAULT_LOCATE_FILE
+// in src/gazePipeline.js); they are served from mediapipe/face_mesh/ so
+// tracking needs no CDN
+const FACE_MESH_DIR = fileURLToPath(new URL('./node_modules/@mediapipe/face_mesh/', import.meta.url))
+const FACE_MESH_PATH = 'mediapipe/face_mesh/'
+const FACE_MESH_FILES = readdirSync(FACE_MESH_DIR).filter((file) =>
+  ['.binarypb', '.data', '.wasm'].includes(extname(file)) || file.endsWith('_loader.js') || file.endsWith('_bin.js')
+)
+// The SIMD and non-SIMD builds of the wasm and its glue; a client loads only
+// one of them, so they are cached when first fetched instead of precached
+const isFaceMeshRuntimeFile = (file) => file.includes('_wasm_bin')
+const CONTENT_TYPES = {
+  '.binarypb': 'application/octet-stream',
+  '.data': 'application/octet-stream',
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+}
+
+const SERVICE_WORKER_SOURCE = fileURLToPath(new URL('./src/serviceWorker.js', import.meta.url))
+const SERVICE_WORKER_FILE = 'sw.js'
+
+const listFiles = (dir) =>
+  readdirSync(dir).flatMap((name) => {
+    const path = join(dir, name)
+    return statSync(path).isDirectory() ? listFiles(path) : [path]
+  })
+
+const mediapipeAssets = () => {
+  let base = '/'
+  return {
+    name: 'neurogaze-mediapipe-assets',
+    configResolved(config) {
+      base = config.base
+    },
+    configureServer(server) {
+      server.middlewares.use(`${base}${FACE_MESH_PATH}`, (req, res, next) => {
+        const file = decodeURIComponent(req.url.split('?')[0].slice(1))
+        if (!FACE_MESH_FILES.includes(file)) {
+          next()
+          return
+        }
+        res.setHeader('Content-Type', CONTENT_TYPES[extname(file)])
+        createReadStream(join(FACE_MESH_DIR, file)).pipe(res)
+      })
+    },
+    generateBundle() {
+      FACE_MESH_FILES.forEach((file) => {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${FACE_MESH_PATH}${file}`,
+          source: readFileSync(join(FACE_MESH_DIR, file)),
+        })
+      })
+    },
+  }
+}
+
+// Emits sw.js with the list of files to precache: the app shell, everything
+// in the bundle and everything in public/, except the MediaPipe wasm builds,
+// which are listed as runtime files. Each list's cache version is a hash of
+// its contents.
+const serviceWorker = () => {
+  let base = '/'
+  let publicDir = ''
+  return {
+    name: 'neurogaze-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      base = config.base
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const runtimeHash = createHash('sha256')
+      const bundled = []
+      const runtime = []
+      Object.values(bundle).forEach((output) => {
+        const isRuntime =
+          output.fileName.startsWith(FACE_MESH_PATH) && isFaceMeshRuntimeFile(output.fileName.slice(FACE_MESH_PATH.length))
+        const target = isRuntime ? runtimeHash : hash
+        target.update(output.fileName)
+        target.update(output.type === 'asset' ? output.source : output.code)
+        if (isRuntime) {
+          runtime.push(output.fileName)
+        } else {
+          bundled.push(output.fileName)
+        }
+      })
+      const publicFiles = publicDir ? listFiles(publicDir) : []
+      const fromPublic = publicFiles.map((path) => {
+        const fileName = relative(publicDir, path).split('\\').join('/')
+        hash.update(fileName)
+        hash.update(readFileSync(path))
+        return fileName
+      })
+      const urls = [
+        base,
+        ...new Set([...bundled, ...fromPublic].filter((fileName) => fileName !== 'index.html')),
+      ].map((fileName) => (fileName === base ? base : `${base}${fileName}`))
+      const precache = {
+        version: hash.digest('hex').slice(0, 16),
+        urls,
+        runtimeVersion: runtimeHash.digest('hex').slice(0, 16),
+        runtimeUrls: runtime.map((fileName) => `${base}${fileName}`),
+      }
+      this.emitFile({
+        type: 'asset',
+        fileName: SERVICE_WORKER_FILE,
+        source: `self.__PRECACHE__ = ${JSON.stringify(precache)}\n${readFileSync(SERVICE_WORKER_SOURCE, 'utf8')}`,
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mediapipeAssets(), serviceWorker()],
+  define: {
+    // Recorded in exported session bundles
+    'import.meta.env.APP_VERSION': JSON.stringify(version),
+  },
+  worker: {
+    // MediaPipe loads its wasm with importScripts, which module workers lack
+    format: 'iife',
+  },
 })